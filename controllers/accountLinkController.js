@@ -0,0 +1,215 @@
+import User from '../models/User.js';
+import { createSession } from '../utils/sessions.js';
+import { verifySecondFactor } from '../utils/twoFactor.js';
+import { recordFailedLogin } from '../utils/loginProtection.js';
+import { LINKABLE_ROLES, getLinkedAccounts, linkAccounts, unlinkAccount } from '../utils/accountLinks.js';
+
+const toRoleSummary = (account, currentUserId) => ({
+  userId: account._id,
+  role: account.role,
+  name: account.name,
+  isActive: account.isActive,
+  roleDescription: account.getRoleDescription(),
+  current: account._id.toString() === currentUserId.toString()
+});
+
+// @desc    Get the role accounts linked to the current account
+// @route   GET /api/auth/my-roles
+// @access  Private
+export const getMyRoles = async (req, res) => {
+  try {
+    const accounts = await getLinkedAccounts(req.user);
+
+    // Unlinked accounts with the same email that could be linked
+    const linkedRoles = accounts.map(account => account.role);
+    const linkable = LINKABLE_ROLES.includes(req.user.role)
+      ? await User.find({
+        email: req.user.email,
+        role: { $in: LINKABLE_ROLES.filter(role => !linkedRoles.includes(role)) }
+      }).select('role')
+      : [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roles: accounts.map(account => toRoleSummary(account, req.user._id)),
+        linkableRoles: linkable.map(account => account.role)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching roles',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Link another role account of the same email (proved by its password)
+// @route   POST /api/auth/my-roles/link
+// @access  Private
+export const linkRoleAccount = async (req, res) => {
+  try {
+    const { role, password } = req.body;
+
+    if (!role || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the role and the password of the account to link'
+      });
+    }
+
+    if (!LINKABLE_ROLES.includes(req.user.role) || !LINKABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${LINKABLE_ROLES.join(', ')} accounts can be linked`
+      });
+    }
+
+    if (role === req.user.role) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already signed in to this role'
+      });
+    }
+
+    const other = await User.findOne({ email: req.user.email, role }).select('+password');
+
+    const invalidCredentials = () => res.status(401).json({
+      success: false,
+      message: 'Invalid credentials for the account to link'
+    });
+
+    if (!other || other.isLocked()) {
+      return invalidCredentials();
+    }
+
+    // A wrong password here counts towards the other account's lockout,
+    // the same as a failed login to it
+    if (!(await other.comparePassword(password))) {
+      await recordFailedLogin(other);
+      return invalidCredentials();
+    }
+
+    if (!other.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'That account has been deactivated and cannot be linked'
+      });
+    }
+
+    await linkAccounts(req.user, other);
+
+    const user = await User.findById(req.user._id);
+    const accounts = await getLinkedAccounts(user);
+
+    res.status(200).json({
+      success: true,
+      message: `${role} account linked successfully`,
+      data: {
+        roles: accounts.map(account => toRoleSummary(account, req.user._id))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error linking account',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Unlink the current account from its other roles
+// @route   DELETE /api/auth/my-roles/link
+// @access  Private
+export const unlinkRoleAccount = async (req, res) => {
+  try {
+    if (!req.user.identity) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account is not linked to any other role'
+      });
+    }
+
+    await unlinkAccount(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlinked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error unlinking account',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Switch to a linked role account without re-entering the password
+// @route   POST /api/auth/switch-role
+// @access  Private
+export const switchRole = async (req, res) => {
+  try {
+    const { role, code, backupCode } = req.body;
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the role to switch to'
+      });
+    }
+
+    const target = req.user.identity
+      ? await User.findOne({ identity: req.user.identity, role })
+      : null;
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: `No linked ${role} account found`
+      });
+    }
+
+    if (!target.isActive || target.isLocked()) {
+      return res.status(403).json({
+        success: false,
+        message: `Your ${role} account is not available right now`
+      });
+    }
+
+    // The second factor protects each account on its own
+    if (target.twoFactor?.enabled) {
+      if (!code && !backupCode) {
+        return res.status(401).json({
+          success: false,
+          message: `Enter the authentication code for your ${role} account`,
+          twoFactorRequired: true
+        });
+      }
+      if (!(await verifySecondFactor(target._id, { code, backupCode }))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid authentication code'
+        });
+      }
+    }
+
+    const { token, refreshToken } = await createSession(target, req);
+
+    res.status(200).json({
+      success: true,
+      message: `Switched to ${role}`,
+      token,
+      refreshToken,
+      user: target,
+      roleDescription: target.getRoleDescription()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error switching role',
+      error: error.message
+    });
+  }
+};
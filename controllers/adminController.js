@@ -4,6 +4,9 @@ import Internship from '../models/Internship.js';
 import Blog from '../models/Blog.js';
 import Payment from '../models/Payment.js';
 import Submission from '../models/Submission.js';
+import { revokeAllSessions } from '../utils/sessions.js';
+import { clearFailedLogins } from '../utils/loginProtection.js';
+import { recordAudit } from '../utils/auditLog.js';
 
 // @desc    Get admin dashboard statistics
 // @route   GET /api/admin/dashboard
@@ -249,6 +252,11 @@ export const updateStudent = async (req, res) => {
 
     await student.save();
 
+    // Sign a deactivated student out everywhere straight away
+    if (isActive === false) {
+      await revokeAllSessions(student._id, 'account_deactivated');
+    }
+
     res.status(200).json({
       success: true,
       message: 'Student updated successfully',
@@ -955,3 +963,91 @@ export const getInternshipByIdAdmin = async (req, res) => {
   }
 };
 
+// @desc    Get locked accounts and accounts with recent failed logins
+// @route   GET /api/admin/lockouts
+// @access  Private/Admin
+export const getAccountLockouts = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, search } = req.query;
+    const skip = (page - 1) * limit;
+
+    const now = new Date();
+    const query = status === 'locked'
+      ? { lockUntil: { $gt: now } }
+      : { $or: [{ lockUntil: { $gt: now } }, { failedLoginAttempts: { $gt: 0 } }] };
+
+    if (search) {
+      query.email = { $regex: search, $options: 'i' };
+    }
+
+    const accounts = await User.find(query)
+      .select('name email role failedLoginAttempts lastFailedLoginAt lockoutCount lockUntil')
+      .sort({ lockUntil: -1, lastFailedLoginAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        accounts: accounts.map(account => ({ ...account.toObject(), isLocked: account.isLocked() })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching account lockouts',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Clear an account's lockout and failed login counters
+// @route   DELETE /api/admin/lockouts/:userId
+// @access  Private/Admin
+export const clearAccountLockout = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId)
+      .select('email failedLoginAttempts lockoutCount lockUntil');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await clearFailedLogins(user._id);
+
+    await recordAudit({
+      action: 'login_lockout_cleared',
+      actor: req.user._id,
+      targetUser: user._id,
+      targetEmail: user.email,
+      details: {
+        failedLoginAttempts: user.failedLoginAttempts,
+        lockoutCount: user.lockoutCount,
+        lockUntil: user.lockUntil
+      },
+      req
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account lockout cleared successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing account lockout',
+      error: error.message
+    });
+  }
+};
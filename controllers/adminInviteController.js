@@ -0,0 +1,295 @@
+import crypto from 'crypto';
+import User, { ADMIN_PERMISSIONS } from '../models/User.js';
+import AdminInvite from '../models/AdminInvite.js';
+import { createSession } from '../utils/sessions.js';
+import { sendEmail, safeHtml } from '../utils/mailer.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { validatePermissions } from '../utils/adminPermissions.js';
+
+const ADMIN_INVITE_TTL_MS = (parseInt(process.env.ADMIN_INVITE_EXPIRE_HOURS, 10) || 72) * 60 * 60 * 1000;
+
+const getInviteStatus = (invite) => {
+  if (invite.acceptedAt) return 'accepted';
+  if (invite.revokedAt) return 'revoked';
+  if (invite.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+};
+
+// @desc    Invite a new admin
+// @route   POST /api/admin/invites
+// @access  Private/SuperAdmin
+export const createAdminInvite = async (req, res) => {
+  try {
+    const { email, name, permissions = ADMIN_PERMISSIONS } = req.body;
+
+    if (!email || typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    if (name !== undefined && typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Name must be a string'
+      });
+    }
+
+    const validationError = validatePermissions(permissions);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existingAdmin = await User.findOne({ email: normalizedEmail, role: 'admin' });
+    if (existingAdmin) {
+      return res.status(400).json({
+        success: false,
+        message: 'An admin account already exists with this email'
+      });
+    }
+
+    // Only one open invite per email; re-inviting replaces the previous link
+    await AdminInvite.updateMany(
+      { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: req.user._id } }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invite = await AdminInvite.create({
+      email: normalizedEmail,
+      name,
+      permissions,
+      tokenHash: User.hashToken(token),
+      expiresAt: new Date(Date.now() + ADMIN_INVITE_TTL_MS),
+      invitedBy: req.user._id
+    });
+
+    await recordAudit({
+      action: 'admin_invited',
+      actor: req.user._id,
+      targetEmail: normalizedEmail,
+      details: { inviteId: invite._id, permissions },
+      req
+    });
+
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/admin-invite/${token}`;
+    try {
+      await sendEmail({
+        to: normalizedEmail,
+        subject: 'You have been invited to administer Kiwise EduTech',
+        text: `Hi${name ? ` ${name}` : ''},\n\n${req.user.name} has invited you to become an admin on Kiwise EduTech. Open the link below to set up your account. The link expires on ${invite.expiresAt.toUTCString()}.\n\n${inviteUrl}\n\nIf you were not expecting this invitation, you can ignore this email.`,
+        html: safeHtml`<p>Hi${name ? ` ${name}` : ''},</p><p>${req.user.name} has invited you to become an admin on Kiwise EduTech. Click the link below to set up your account. The link expires on ${invite.expiresAt.toUTCString()}.</p><p><a href="${inviteUrl}">Accept invitation</a></p><p>If you were not expecting this invitation, you can ignore this email.</p>`
+      });
+    } catch (error) {
+      console.error('Error sending admin invite email:', error);
+    }
+
+    const inviteResponse = invite.toObject();
+    delete inviteResponse.tokenHash;
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin invitation sent successfully',
+      data: inviteResponse
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating admin invitation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get admin invitations
+// @route   GET /api/admin/invites
+// @access  Private/SuperAdmin
+export const getAdminInvites = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const now = new Date();
+    const query = {};
+
+    if (status === 'pending') {
+      Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+    } else if (status === 'accepted') {
+      query.acceptedAt = { $ne: null };
+    } else if (status === 'revoked') {
+      query.revokedAt = { $ne: null };
+    } else if (status === 'expired') {
+      Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+    }
+
+    const invites = await AdminInvite.find(query)
+      .populate('invitedBy', 'name email')
+      .populate('acceptedUser', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AdminInvite.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invites: invites.map(invite => ({ ...invite.toObject(), status: getInviteStatus(invite) })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching admin invitations',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke a pending admin invitation
+// @route   DELETE /api/admin/invites/:id
+// @access  Private/SuperAdmin
+export const revokeAdminInvite = async (req, res) => {
+  try {
+    const invite = await AdminInvite.findOneAndUpdate(
+      { _id: req.params.id, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: req.user._id } },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    await recordAudit({
+      action: 'admin_invite_revoked',
+      actor: req.user._id,
+      targetEmail: invite.email,
+      details: { inviteId: invite._id },
+      req
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: invite
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept an admin invitation and create the admin account
+// @route   POST /api/auth/admin-invite/:token/accept
+// @access  Public
+export const acceptAdminInvite = async (req, res) => {
+  try {
+    const { name, password, phone } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    // Claim the invite atomically so a token can only ever create one admin
+    const invite = await AdminInvite.findOneAndUpdate(
+      {
+        tokenHash: User.hashToken(req.params.token),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation link is invalid or has expired'
+      });
+    }
+
+    let user;
+    try {
+      const existingAdmin = await User.findOne({ email: invite.email, role: 'admin' });
+      if (existingAdmin) {
+        await AdminInvite.updateOne({ _id: invite._id }, { $set: { acceptedAt: null } });
+        return res.status(400).json({
+          success: false,
+          message: 'An admin account already exists with this email'
+        });
+      }
+
+      user = await User.create({
+        name: name || invite.name,
+        email: invite.email,
+        password,
+        role: 'admin',
+        phone,
+        // The invite link was delivered to this address, which proves ownership
+        isVerified: true,
+        adminDetails: {
+          permissions: invite.permissions
+        }
+      });
+    } catch (error) {
+      // Release the claim so the invite can be retried after fixing the input
+      await AdminInvite.updateOne({ _id: invite._id }, { $set: { acceptedAt: null } });
+      throw error;
+    }
+
+    invite.acceptedUser = user._id;
+    await invite.save();
+
+    await recordAudit({
+      action: 'admin_created',
+      actor: invite.invitedBy,
+      targetUser: user._id,
+      targetEmail: user.email,
+      details: { inviteId: invite._id, permissions: invite.permissions },
+      req
+    });
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    const userResponse = user.toObject();
+    delete userResponse.password;
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin account created successfully',
+      token,
+      refreshToken,
+      user: userResponse,
+      roleDescription: user.getRoleDescription()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting invitation',
+      error: error.message
+    });
+  }
+};
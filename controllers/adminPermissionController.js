@@ -0,0 +1,186 @@
+import User, { ADMIN_PERMISSIONS } from '../models/User.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { validatePermissions } from '../utils/adminPermissions.js';
+
+// @desc    Get all admins with their permissions
+// @route   GET /api/admin/admins
+// @access  Private/SuperAdmin
+export const getAdmins = async (req, res) => {
+  try {
+    const admins = await User.find({ role: 'admin' })
+      .select('name email isActive adminDetails createdAt')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        admins,
+        availablePermissions: ADMIN_PERMISSIONS
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching admins',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Grant permissions to an admin
+// @route   POST /api/admin/admins/:id/permissions
+// @access  Private/SuperAdmin
+export const grantAdminPermissions = async (req, res) => {
+  try {
+    const { permissions } = req.body;
+
+    const validationError = validatePermissions(permissions);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const admin = await User.findOneAndUpdate(
+      { _id: req.params.id, role: 'admin' },
+      { $addToSet: { 'adminDetails.permissions': { $each: permissions } } },
+      { new: true }
+    ).select('name email adminDetails');
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    await recordAudit({
+      action: 'admin_permissions_granted',
+      actor: req.user._id,
+      targetUser: admin._id,
+      targetEmail: admin.email,
+      details: { permissions },
+      req
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Permissions granted successfully',
+      data: admin
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error granting permissions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke a permission from an admin
+// @route   DELETE /api/admin/admins/:id/permissions/:permission
+// @access  Private/SuperAdmin
+export const revokeAdminPermission = async (req, res) => {
+  try {
+    const { permission } = req.params;
+
+    const validationError = validatePermissions([permission]);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const admin = await User.findOneAndUpdate(
+      { _id: req.params.id, role: 'admin' },
+      { $pull: { 'adminDetails.permissions': permission } },
+      { new: true }
+    ).select('name email adminDetails');
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    await recordAudit({
+      action: 'admin_permissions_revoked',
+      actor: req.user._id,
+      targetUser: admin._id,
+      targetEmail: admin.email,
+      details: { permissions: [permission] },
+      req
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Permission revoked successfully',
+      data: admin
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking permission',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Promote an admin to super-admin or demote them
+// @route   PUT /api/admin/admins/:id/super-admin
+// @access  Private/SuperAdmin
+export const updateSuperAdmin = async (req, res) => {
+  try {
+    const { isSuperAdmin } = req.body;
+
+    if (typeof isSuperAdmin !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide isSuperAdmin as true or false'
+      });
+    }
+
+    if (!isSuperAdmin && req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own super-admin access'
+      });
+    }
+
+    const admin = await User.findOneAndUpdate(
+      { _id: req.params.id, role: 'admin' },
+      { $set: { 'adminDetails.isSuperAdmin': isSuperAdmin } },
+      { new: true }
+    ).select('name email adminDetails');
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    await recordAudit({
+      action: isSuperAdmin ? 'super_admin_granted' : 'super_admin_revoked',
+      actor: req.user._id,
+      targetUser: admin._id,
+      targetEmail: admin.email,
+      req
+    });
+
+    res.status(200).json({
+      success: true,
+      message: isSuperAdmin ? 'Admin promoted to super-admin' : 'Super-admin access removed',
+      data: admin
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating super-admin status',
+      error: error.message
+    });
+  }
+};
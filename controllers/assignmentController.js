@@ -0,0 +1,317 @@
+import Assignment from '../models/Assignment.js';
+import AssignmentSubmission from '../models/AssignmentSubmission.js';
+import { loadCourseLesson } from '../utils/courseAccess.js';
+import { setLessonCompletion } from '../utils/courseProgress.js';
+import { normalizeAttachments, getSubmissionBlocker, buildGrade } from '../utils/assignments.js';
+
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+const loadAssignmentLesson = (req, options = {}) =>
+  loadCourseLesson(req, { ...options, lessonType: 'assignment' });
+
+const loadAssignment = async (course, lesson) => {
+  const assignment = await Assignment.findOne({ course: course._id, lessonId: lesson._id });
+  if (!assignment) {
+    const error = new Error('No assignment has been set up for this lesson');
+    error.statusCode = 404;
+    throw error;
+  }
+  return assignment;
+};
+
+// @desc    Create or update the assignment for a lesson
+// @route   PUT /api/courses/:id/lessons/:lessonId/assignment
+// @access  Private/Admin or Content Writer (own courses)
+export const upsertAssignment = async (req, res) => {
+  try {
+    const { course, lesson } = await loadAssignmentLesson(req, { manage: true });
+
+    let assignment = await Assignment.findOne({ course: course._id, lessonId: lesson._id });
+    const isNew = !assignment;
+    if (isNew) {
+      assignment = new Assignment({ course: course._id, lessonId: lesson._id, createdBy: req.user._id });
+    }
+
+    [
+      'title',
+      'instructions',
+      'resources',
+      'dueAt',
+      'allowLateSubmissions',
+      'latePenaltyPercent',
+      'maxSubmissions',
+      'allowResubmissionAfterGrading',
+      'rubric',
+      'maxScore',
+      'passPercentage'
+    ].forEach(field => {
+      if (req.body[field] !== undefined) {
+        assignment[field] = req.body[field];
+      }
+    });
+    if (!assignment.title) {
+      assignment.title = lesson.lessonTitle;
+    }
+    assignment.updatedBy = req.user._id;
+
+    await assignment.save();
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Assignment created successfully' : 'Assignment updated successfully',
+      data: assignment
+    });
+  } catch (error) {
+    sendError(res, error, 'Error saving assignment');
+  }
+};
+
+// @desc    Get a lesson's assignment (with own submissions for students)
+// @route   GET /api/courses/:id/lessons/:lessonId/assignment
+// @access  Private (enrolled students, the author or admins)
+export const getAssignment = async (req, res) => {
+  try {
+    const { course, lesson, isManager } = await loadAssignmentLesson(req);
+    const assignment = await loadAssignment(course, lesson);
+
+    if (isManager) {
+      return res.status(200).json({
+        success: true,
+        data: { assignment }
+      });
+    }
+
+    const submissions = await AssignmentSubmission.find({ assignment: assignment._id, user: req.user._id })
+      .sort({ submissionNumber: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        assignment,
+        submissions,
+        isPastDue: Boolean(assignment.dueAt && new Date() > assignment.dueAt),
+        canSubmit: !getSubmissionBlocker(assignment, submissions)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching assignment');
+  }
+};
+
+// @desc    Submit (or resubmit) work for an assignment
+// @route   POST /api/courses/:id/lessons/:lessonId/assignment/submissions
+// @access  Private/Student (enrolled)
+export const submitAssignment = async (req, res) => {
+  try {
+    const { course, lesson } = await loadAssignmentLesson(req);
+    const assignment = await loadAssignment(course, lesson);
+
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    const attachments = normalizeAttachments(req.body.attachments);
+    if (!text && attachments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide text or at least one attachment'
+      });
+    }
+
+    const previous = await AssignmentSubmission.find({ assignment: assignment._id, user: req.user._id })
+      .sort({ submissionNumber: 1 });
+    const now = new Date();
+    const blocker = getSubmissionBlocker(assignment, previous, now);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        message: blocker
+      });
+    }
+
+    const submission = await AssignmentSubmission.create({
+      assignment: assignment._id,
+      course: course._id,
+      lessonId: lesson._id,
+      user: req.user._id,
+      submissionNumber: previous.length + 1,
+      text,
+      attachments,
+      submittedAt: now,
+      isLate: Boolean(assignment.dueAt && now > assignment.dueAt)
+    });
+
+    // The new submission replaces earlier ones in the gradebook
+    await AssignmentSubmission.updateMany(
+      { assignment: assignment._id, user: req.user._id, _id: { $ne: submission._id } },
+      { $set: { status: 'superseded' } }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: submission.isLate ? 'Assignment submitted after the due date' : 'Assignment submitted successfully',
+      data: submission
+    });
+  } catch (error) {
+    // Two submissions racing for the same submission number
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A submission is already being processed, please try again'
+      });
+    }
+    sendError(res, error, 'Error submitting assignment');
+  }
+};
+
+// @desc    List submissions (own for students, all for the author and admins)
+// @route   GET /api/courses/:id/lessons/:lessonId/assignment/submissions
+// @access  Private (enrolled students, the author or admins)
+export const getAssignmentSubmissions = async (req, res) => {
+  try {
+    const { course, lesson, isManager } = await loadAssignmentLesson(req);
+    const assignment = await loadAssignment(course, lesson);
+    const { status, late, page = 1, limit = 20 } = req.query;
+
+    const query = { assignment: assignment._id };
+    if (!isManager) {
+      query.user = req.user._id;
+    }
+    if (status) {
+      query.status = status;
+    } else if (isManager) {
+      query.status = { $ne: 'superseded' };
+    }
+    if (late !== undefined) {
+      query.isLate = late === 'true';
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [submissions, total] = await Promise.all([
+      AssignmentSubmission.find(query)
+        .populate('user', 'name email')
+        .populate('gradedBy', 'name')
+        .sort({ submittedAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      AssignmentSubmission.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        submissions,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching submissions');
+  }
+};
+
+// @desc    Get a single submission
+// @route   GET /api/courses/:id/lessons/:lessonId/assignment/submissions/:submissionId
+// @access  Private (submission owner, the author or admins)
+export const getAssignmentSubmission = async (req, res) => {
+  try {
+    const { course, lesson, isManager } = await loadAssignmentLesson(req);
+    const assignment = await loadAssignment(course, lesson);
+
+    const query = { _id: req.params.submissionId, assignment: assignment._id };
+    if (!isManager) {
+      query.user = req.user._id;
+    }
+    const submission = await AssignmentSubmission.findOne(query)
+      .populate('user', 'name email')
+      .populate('gradedBy', 'name');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: submission
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching submission');
+  }
+};
+
+// @desc    Grade a submission against the rubric
+// @route   PUT /api/courses/:id/lessons/:lessonId/assignment/submissions/:submissionId/grade
+// @access  Private/Admin or Content Writer (own courses)
+export const gradeAssignmentSubmission = async (req, res) => {
+  try {
+    const { course, lesson } = await loadAssignmentLesson(req, { manage: true });
+    const assignment = await loadAssignment(course, lesson);
+
+    const submission = await AssignmentSubmission.findOne({ _id: req.params.submissionId, assignment: assignment._id });
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+    if (submission.status === 'superseded') {
+      return res.status(400).json({
+        success: false,
+        message: 'This submission has been replaced by a newer one'
+      });
+    }
+
+    const wasPassed = Boolean(submission.passed);
+    Object.assign(submission, buildGrade(assignment, submission, req.body), {
+      status: 'graded',
+      gradedBy: req.user._id,
+      gradedAt: new Date()
+    });
+    await submission.save();
+
+    if (submission.passed) {
+      await setLessonCompletion(submission.user, course, lesson._id, true);
+    } else if (wasPassed && !await AssignmentSubmission.exists({
+      _id: { $ne: submission._id },
+      assignment: assignment._id,
+      user: submission.user,
+      passed: true
+    })) {
+      // The re-grade took away the only pass, so the lesson is no longer complete
+      await setLessonCompletion(submission.user, course, lesson._id, false);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Submission graded successfully',
+      data: submission
+    });
+  } catch (error) {
+    sendError(res, error, 'Error grading submission');
+  }
+};
@@ -1,5 +1,54 @@
-import User from '../models/User.js';
-import { generateToken } from '../utils/generateToken.js';
+import bcrypt from 'bcryptjs';
+import User, { VERIFICATION_TOKEN_TTL_MS } from '../models/User.js';
+import Session from '../models/Session.js';
+import { createSession, rotateSession, revokeSession, revokeAllSessions } from '../utils/sessions.js';
+import { sendEmail, safeHtml } from '../utils/mailer.js';
+import { recordFailedLogin, clearFailedLogins } from '../utils/loginProtection.js';
+import { generateTwoFactorChallengeToken, verifyTwoFactorChallengeToken } from '../utils/generateToken.js';
+import { isTwoFactorRequired, verifySecondFactor } from '../utils/twoFactor.js';
+
+// Minimum time between verification emails for the same account
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+// Compared against when no account matches, to keep login timing uniform
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('kiwise-dummy-password', 10);
+
+const sendVerificationEmail = async (user, token) => {
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email/${token}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your Kiwise EduTech email address',
+    text: `Hi ${user.name},\n\nPlease verify your email address by opening the link below. The link expires in 24 hours.\n\n${verifyUrl}\n\nIf you did not create this account, you can ignore this email.`,
+    html: safeHtml`<p>Hi ${user.name},</p><p>Please verify your email address by clicking the link below. The link expires in 24 hours.</p><p><a href="${verifyUrl}">Verify email</a></p><p>If you did not create this account, you can ignore this email.</p>`
+  });
+};
+
+// Start a session for a fully authenticated user and send the login response
+const completeLogin = async (user, req, res, message = 'Login successful') => {
+  // Update last login for admin
+  if (user.role === 'admin' && user.adminDetails) {
+    user.adminDetails.lastLogin = new Date();
+    await user.save();
+  }
+
+  // Start a session and issue access + refresh tokens
+  const { token, refreshToken } = await createSession(user, req);
+
+  // Remove password from response
+  const userResponse = user.toObject();
+  delete userResponse.password;
+
+  res.status(200).json({
+    success: true,
+    message,
+    token,
+    refreshToken,
+    user: userResponse,
+    roleDescription: user.getRoleDescription(),
+    twoFactorSetupRequired: isTwoFactorRequired(user.role) && !user.twoFactor?.enabled
+  });
+};
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -25,6 +74,14 @@ export const register = async (req, res) => {
       });
     }
 
+    // Admins are created by invitation from another admin (or the bootstrap script)
+    if (role === 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin accounts cannot be self-registered. Please ask an existing admin for an invitation'
+      });
+    }
+
     // Check if user already exists with same email and role combination
     const existingUser = await User.findOne({ email, role });
     if (existingUser) {
@@ -73,36 +130,33 @@ export const register = async (req, res) => {
         year: roleSpecificData.year || '',
         enrollmentDate: new Date()
       };
-    } else if (role === 'admin') {
-      // Admin registration should be restricted - only by other admins
-      userData.isVerified = true;
-      userData.adminDetails = {
-        permissions: roleSpecificData.permissions || [
-          'manage_users',
-          'manage_courses',
-          'manage_content',
-          'manage_blogs',
-          'manage_internships',
-          'view_analytics',
-          'manage_settings'
-        ]
-      };
     }
 
     // Create user
     const user = await User.create(userData);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send email verification link
+    try {
+      const verificationToken = user.createVerificationToken();
+      await user.save({ validateBeforeSave: false });
+      await sendVerificationEmail(user, verificationToken);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+    }
 
-    // Remove password from response
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken } = await createSession(user, req);
+
+    // Remove password and token hashes from response
     const userResponse = user.toObject();
     delete userResponse.password;
+    delete userResponse.verificationToken;
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account',
       token,
+      refreshToken,
       user: userResponse,
       roleDescription: user.getRoleDescription()
     });
@@ -130,34 +184,70 @@ export const login = async (req, res) => {
       });
     }
 
-    // If role is provided, find user by email + role combination
-    // Otherwise, find any user with that email (for backward compatibility)
-    let query = { email };
+    // Every failure below gets the same response so it can't be used to
+    // discover which email + role combinations exist
+    const invalidCredentials = () => res.status(401).json({
+      success: false,
+      message: 'Invalid credentials'
+    });
+
+    // If role is provided, find user by email + role combination. Without a
+    // role the email must hold a single account: role accounts have separate
+    // passwords and lockouts, so guessing across them is not allowed.
+    let user;
     if (role) {
-      query.role = role;
+      user = await User.findOne({ email, role }).select('+password');
+    } else {
+      const accounts = await User.find({ email }).sort({ createdAt: 1 }).select('+password').limit(2);
+      if (accounts.length > 1) {
+        // Only say the email holds several accounts once the password is
+        // proven against the first of them; until then this is a failed
+        // login like any other. One comparison keeps timing uniform.
+        const [first] = accounts;
+        if (first.isLocked()) {
+          return invalidCredentials();
+        }
+        if (!(await first.comparePassword(password))) {
+          await recordFailedLogin(first);
+          return invalidCredentials();
+        }
+        return res.status(400).json({
+          success: false,
+          message: 'Please choose which account to log in to',
+          roleRequired: true
+        });
+      }
+      user = accounts[0] || null;
     }
 
-    // Find user and include password
-    const user = await User.findOne(query).select('+password');
-
     if (!user) {
-      // If role was specified, check if email exists with different role
-      if (role) {
-        const emailExists = await User.findOne({ email });
-        if (emailExists) {
-          return res.status(401).json({
-            success: false,
-            message: `No ${role} account found with this email. Please check your role selection.`
-          });
-        }
-      }
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+      // Compare anyway so unknown accounts take as long as known ones
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      return invalidCredentials();
+    }
+
+    // Locked accounts are told about the lockout by email, not in the response
+    if (user.isLocked()) {
+      return invalidCredentials();
     }
 
-    // Check if user is active
+    // Check password
+    const isMatch = await user.comparePassword(password);
+
+    if (!isMatch) {
+      await recordFailedLogin(user);
+      return invalidCredentials();
+    }
+
+    if (user.failedLoginAttempts > 0 || user.lockoutCount > 0) {
+      await clearFailedLogins(user._id);
+      user.failedLoginAttempts = 0;
+      user.lockoutCount = 0;
+      user.lockUntil = undefined;
+      user.lastFailedLoginAt = undefined;
+    }
+
+    // Only reveal the account state once the password has been proven
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
@@ -165,40 +255,77 @@ export const login = async (req, res) => {
       });
     }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
+    // Accounts with 2FA get a short-lived challenge instead of tokens
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app to finish logging in',
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallengeToken(user._id)
+      });
+    }
 
-    if (!isMatch) {
+    await completeLogin(user, req, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Finish a two-factor login with an authenticator or backup code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires the challenge token from login)
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the challenge token and a code or backup code'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallengeToken(challengeToken);
+    } catch (error) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Login challenge is invalid or has expired. Please log in again'
       });
     }
 
-    // Update last login for admin
-    if (user.role === 'admin' && user.adminDetails) {
-      user.adminDetails.lastLogin = new Date();
-      await user.save();
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive || user.isLocked() || user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please log in again'
+      });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    const method = await verifySecondFactor(user._id, { code, backupCode });
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    if (!method) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await recordFailedLogin(user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: userResponse,
-      roleDescription: user.getRoleDescription()
-    });
+    await completeLogin(user, req, res, method === 'backup_code'
+      ? 'Login successful. You used a backup code; consider generating new ones'
+      : 'Login successful');
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error logging in',
+      message: 'Error verifying authentication code',
       error: error.message
     });
   }
@@ -232,6 +359,311 @@ export const getMe = async (req, res) => {
   }
 };
 
+// @desc    Send (or resend) email verification link
+// @route   POST /api/auth/verify-email/send
+// @access  Private
+export const sendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email address is already verified'
+      });
+    }
+
+    // Throttle resends based on when the current token was issued
+    if (user.verificationExpire) {
+      const issuedAt = user.verificationExpire.getTime() - VERIFICATION_TOKEN_TTL_MS;
+      if (Date.now() - issuedAt < VERIFICATION_RESEND_INTERVAL_MS) {
+        return res.status(429).json({
+          success: false,
+          message: 'A verification email was just sent. Please wait a minute before requesting another'
+        });
+      }
+    }
+
+    const verificationToken = user.createVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, verificationToken);
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+export const verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      verificationToken: User.hashToken(req.params.token),
+      verificationExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.isVerified = true;
+    user.verificationToken = undefined;
+    user.verificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Request a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email'
+      });
+    }
+
+    // Each email + role pair is a separate account with its own password
+    const query = { email: email.toLowerCase().trim(), isActive: true };
+    if (role) {
+      query.role = role;
+    }
+
+    const users = await User.find(query);
+
+    for (const user of users) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password/${resetToken}`;
+
+      try {
+        await sendEmail({
+          to: user.email,
+          subject: 'Reset your Kiwise EduTech password',
+          text: `Hi ${user.name},\n\nWe received a request to reset the password for your ${user.role.replace('_', ' ')} account. Open the link below to choose a new password. The link expires in 1 hour and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+          html: safeHtml`<p>Hi ${user.name},</p><p>We received a request to reset the password for your ${user.role.replace('_', ' ')} account. Click the link below to choose a new password. The link expires in 1 hour and can only be used once.</p><p><a href="${resetUrl}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`
+        });
+      } catch (error) {
+        console.error('Error sending password reset email:', error);
+      }
+    }
+
+    // Same response whether or not an account exists, to avoid user enumeration
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reset password using emailed token
+// @route   PUT /api/auth/reset-password/:token
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(req.params.token),
+      resetPasswordExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    // Backdate slightly so the token issued below isn't rejected (iat has second precision)
+    user.passwordChangedAt = new Date(Date.now() - 1000);
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password_reset');
+
+    // A reset link only proves control of the email, not the second factor
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password and authentication code'
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. All other sessions have been signed out',
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+export const refreshTokens = async (req, res) => {
+  try {
+    const { token, refreshToken, session } = await rotateSession(req.body.refreshToken, req);
+
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      await revokeSession(session._id, 'account_deactivated');
+      return res.status(401).json({
+        success: false,
+        message: 'Your account has been deactivated. Please contact support.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+export const logout = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout', req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get my active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ipAddress lastUsedAt expiresAt createdAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        isCurrent: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke one of my sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeMySession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, 'revoked_by_user', req.user._id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get all roles with descriptions
 // @route   GET /api/auth/roles
 // @access  Public
@@ -0,0 +1,94 @@
+import Certificate from '../models/Certificate.js';
+import { isCertificateAuthentic, ensureCertificatePdf } from '../utils/certificates.js';
+
+// @desc    Verify a certificate by its verification code
+// @route   GET /api/certificates/verify/:code
+// @access  Public
+export const verifyCertificate = async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ verificationCode: req.params.code });
+
+    if (!certificate || !isCertificateAuthentic(certificate)) {
+      return res.status(404).json({
+        success: false,
+        valid: false,
+        message: 'No valid certificate found for this code'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      valid: true,
+      data: {
+        serialNumber: certificate.serialNumber,
+        recipientName: certificate.recipientName,
+        courseTitle: certificate.courseTitle,
+        instructor: certificate.instructor,
+        completedAt: certificate.completedAt,
+        issuedAt: certificate.issuedAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying certificate',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get own certificates
+// @route   GET /api/certificates/my-certificates
+// @access  Private/Student
+export const getMyCertificates = async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ user: req.user._id })
+      .sort({ issuedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: certificates
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching certificates',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download a certificate PDF
+// @route   GET /api/certificates/:id/download
+// @access  Private (certificate owner or course admins)
+export const downloadCertificate = async (req, res) => {
+  try {
+    const certificate = await Certificate.findById(req.params.id);
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found'
+      });
+    }
+
+    if (!req.user.hasPermission('manage_courses') && certificate.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download this certificate'
+      });
+    }
+
+    const filePath = await ensureCertificatePdf(certificate);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=${certificate.serialNumber}.pdf`);
+    res.sendFile(filePath);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading certificate',
+      error: error.message
+    });
+  }
+};
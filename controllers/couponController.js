@@ -0,0 +1,283 @@
+import Coupon from '../models/Coupon.js';
+import { priceOrderItems } from '../utils/orderPricing.js';
+import { applyCoupon } from '../utils/coupons.js';
+
+const couponFields = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscountAmount',
+  'scope', 'minOrderValue', 'validFrom', 'validUntil', 'usageLimit',
+  'usageLimitPerUser', 'isActive'
+];
+
+const validateCouponValues = ({ discountType, discountValue, validFrom, validUntil }) => {
+  if (discountType === 'percentage' && (discountValue <= 0 || discountValue > 100)) {
+    return 'Percentage discount must be between 0 and 100';
+  }
+  if (discountType === 'flat' && discountValue <= 0) {
+    return 'Flat discount must be greater than zero';
+  }
+  if (validFrom && validUntil && new Date(validUntil) <= new Date(validFrom)) {
+    return 'validUntil must be after validFrom';
+  }
+  return null;
+};
+
+// @desc    Create a coupon
+// @route   POST /api/admin/coupons
+// @access  Private/Admin
+export const createCoupon = async (req, res) => {
+  try {
+    const { code, discountType, discountValue } = req.body;
+
+    if (!code || !discountType || discountValue === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide code, discountType and discountValue'
+      });
+    }
+
+    const validationError = validateCouponValues(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const existing = await Coupon.findOne({ code: code.trim().toUpperCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    const couponData = { createdBy: req.user._id };
+    couponFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        couponData[field] = req.body[field];
+      }
+    });
+
+    const coupon = await Coupon.create(couponData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating coupon',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get all coupons with filters
+// @route   GET /api/admin/coupons
+// @access  Private/Admin
+export const getAllCoupons = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (search) {
+      query.code = { $regex: search, $options: 'i' };
+    }
+
+    if (status === 'active') {
+      query.isActive = true;
+    } else if (status === 'inactive') {
+      query.isActive = false;
+    } else if (status === 'expired') {
+      query.validUntil = { $lt: new Date() };
+    }
+
+    const coupons = await Coupon.find(query)
+      .select('-redemptions')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Coupon.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupons',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get coupon by ID
+// @route   GET /api/admin/coupons/:id
+// @access  Private/Admin
+export const getCouponById = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('scope.courses', 'title price');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupon',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a coupon
+// @route   PUT /api/admin/coupons/:id
+// @access  Private/Admin
+export const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const validationError = validateCouponValues({
+      discountType: req.body.discountType ?? coupon.discountType,
+      discountValue: req.body.discountValue ?? coupon.discountValue,
+      validFrom: req.body.validFrom ?? coupon.validFrom,
+      validUntil: req.body.validUntil ?? coupon.validUntil
+    });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    couponFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        coupon[field] = req.body[field];
+      }
+    });
+
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating coupon',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a coupon
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private/Admin
+export const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Coupons already used on payments are deactivated instead of removed
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Coupon has been used and was deactivated instead of deleted',
+        data: coupon
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting coupon',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Preview a coupon against an order
+// @route   POST /api/payments/coupons/validate
+// @access  Private/All authenticated users
+export const validateCoupon = async (req, res) => {
+  try {
+    const { code, items } = req.body;
+
+    const pricing = await applyCoupon(await priceOrderItems(items, { user: req.user }), code, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        code: pricing.coupon.code,
+        items: pricing.items,
+        subtotal: pricing.subtotal,
+        discount: pricing.discount,
+        total: pricing.total,
+        currency: pricing.currency
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error validating coupon',
+      error: error.message
+    });
+  }
+};
@@ -1,4 +1,22 @@
 import Course from '../models/Course.js';
+import Quiz from '../models/Quiz.js';
+import Assignment from '../models/Assignment.js';
+import {
+  LESSON_CONTENT_PROJECTION,
+  canAccessCourseContent,
+  getActiveEnrollment,
+  isCourseOwner,
+  canManageCourse,
+  findLesson
+} from '../utils/courseAccess.js';
+import {
+  buildProgressSummary,
+  recordLessonAccess,
+  setLessonCompletion,
+  getEnrollmentForCourse,
+  findContinueLesson
+} from '../utils/courseProgress.js';
+import { buildGradebook } from '../utils/gradebook.js';
 
 const defaultSyllabus = () => ({
   overview: '',
@@ -301,12 +319,18 @@ export const deleteCourse = async (req, res) => {
   }
 };
 
+const COURSE_SORTS = {
+  newest: { createdAt: -1 },
+  rating: { rating: -1, reviewCount: -1, createdAt: -1 },
+  popular: { enrolledCount: -1, createdAt: -1 }
+};
+
 // @desc    Get all courses with filters
 // @route   GET /api/courses
 // @access  Public
 export const getAllCourses = async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, category, level, placementGuaranteed } = req.query;
+    const { page = 1, limit = 10, search, category, level, placementGuaranteed, sort = 'newest' } = req.query;
     const skip = (page - 1) * limit;
 
     const query = { isActive: true };
@@ -333,8 +357,9 @@ export const getAllCourses = async (req, res) => {
     }
 
     const courses = await Course.find(query)
+      .select(LESSON_CONTENT_PROJECTION)
       .populate('createdBy', 'name email')
-      .sort({ createdAt: -1 })
+      .sort(COURSE_SORTS[sort] || COURSE_SORTS.newest)
       .skip(skip)
       .limit(parseInt(limit));
 
@@ -367,6 +392,7 @@ export const getAllCourses = async (req, res) => {
 export const getCourseById = async (req, res) => {
   try {
     const course = await Course.findById(req.params.id)
+      .select(LESSON_CONTENT_PROJECTION)
       .populate('createdBy', 'name email');
 
     if (!course) {
@@ -617,3 +643,283 @@ export const updateCourseSyllabus = async (req, res) => {
     });
   }
 };
+
+// @desc    Get a lesson with its content
+// @route   GET /api/courses/:id/lessons/:lessonId
+// @access  Public for preview lessons; enrolled students, the author or admins otherwise
+export const getLesson = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .select('title curriculum isPublished isActive createdBy');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const hasFullAccess = canAccessCourseContent(req.user, course);
+
+    // Drafts are only visible to the author and admins
+    if (!course.isPublished || !course.isActive) {
+      const canSeeDraft = req.user && (req.user.hasPermission('manage_courses') || isCourseOwner(req.user, course));
+      if (!canSeeDraft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Course not found'
+        });
+      }
+    }
+
+    const found = findLesson(course, req.params.lessonId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found'
+      });
+    }
+
+    const { section, lesson, previousLessonId, nextLessonId } = found;
+
+    if (lesson.isLocked && !hasFullAccess) {
+      return res.status(req.user ? 403 : 401).json({
+        success: false,
+        message: req.user
+          ? 'Enroll in this course to access this lesson'
+          : 'Please log in and enroll in this course to access this lesson',
+        data: {
+          lessonId: lesson._id,
+          lessonTitle: lesson.lessonTitle,
+          lessonType: lesson.lessonType,
+          duration: lesson.duration,
+          isLocked: true
+        }
+      });
+    }
+
+    if (getActiveEnrollment(req.user, course._id)) {
+      await recordLessonAccess(req.user._id, course, lesson._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        courseId: course._id,
+        courseTitle: course.title,
+        sectionId: section._id,
+        sectionTitle: section.sectionTitle,
+        lesson,
+        previousLessonId,
+        nextLessonId
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching lesson',
+      error: error.message
+    });
+  }
+};
+
+const setLessonCompletionHandler = (completed) => async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('title instructor certificateIncluded curriculum');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const found = findLesson(course, req.params.lessonId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found'
+      });
+    }
+
+    // Quiz and assignment lessons are completed, and stay completed, by passing them
+    const gradedModel = { quiz: Quiz, assignment: Assignment }[found.lesson.lessonType];
+    if (gradedModel && await gradedModel.exists({ course: course._id, lessonId: found.lesson._id })) {
+      return res.status(400).json({
+        success: false,
+        message: completed
+          ? `Pass the ${found.lesson.lessonType} to complete this lesson`
+          : `This ${found.lesson.lessonType} lesson follows its grade and can't be marked as not complete`
+      });
+    }
+
+    const result = await setLessonCompletion(req.user._id, course, req.params.lessonId, completed);
+
+    if (!result) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this course'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: completed ? 'Lesson marked as complete' : 'Lesson marked as not complete',
+      data: {
+        ...buildProgressSummary(course, result.enrollment),
+        certificate: result.certificate
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating lesson progress',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark a lesson complete
+// @route   POST /api/courses/:id/lessons/:lessonId/complete
+// @access  Private/Student (enrolled)
+export const completeLesson = setLessonCompletionHandler(true);
+
+// @desc    Mark a lesson as not complete
+// @route   DELETE /api/courses/:id/lessons/:lessonId/complete
+// @access  Private/Student (enrolled)
+export const uncompleteLesson = setLessonCompletionHandler(false);
+
+// @desc    Get own progress in a course
+// @route   GET /api/courses/:id/progress
+// @access  Private/Student (enrolled)
+export const getCourseProgress = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('title curriculum');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const enrollment = await getEnrollmentForCourse(req.user._id, course._id);
+
+    if (!enrollment) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this course'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: buildProgressSummary(course, enrollment)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching course progress',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the lesson to continue from
+// @route   GET /api/courses/:id/continue
+// @access  Private/Student (enrolled)
+export const getContinueLesson = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('title curriculum');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const enrollment = await getEnrollmentForCourse(req.user._id, course._id);
+
+    if (!enrollment) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this course'
+      });
+    }
+
+    const next = findContinueLesson(course, enrollment);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        courseId: course._id,
+        courseTitle: course.title,
+        status: enrollment.status,
+        progress: enrollment.progress,
+        lastAccessedAt: enrollment.lastAccessedAt,
+        lesson: next
+          ? {
+            lessonId: next.lesson._id,
+            lessonTitle: next.lesson.lessonTitle,
+            lessonType: next.lesson.lessonType,
+            sectionId: next.section._id,
+            sectionTitle: next.section.sectionTitle
+          }
+          : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching next lesson',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the course gradebook (quiz and assignment grades of enrolled students)
+// @route   GET /api/courses/:id/gradebook
+// @access  Private/Admin or Content Writer (own courses)
+export const getCourseGradebook = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('title curriculum createdBy');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!canManageCourse(req.user, course)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the gradebook for this course'
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const gradebook = await buildGradebook(course, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        courseId: course._id,
+        courseTitle: course.title,
+        ...gradebook
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching gradebook',
+      error: error.message
+    });
+  }
+};
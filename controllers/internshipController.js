@@ -1,4 +1,52 @@
 import Internship from '../models/Internship.js';
+import User from '../models/User.js';
+
+// Statuses an employer may move an application into from its current status
+const APPLICATION_TRANSITIONS = {
+  applied: ['shortlisted', 'rejected', 'accepted'],
+  shortlisted: ['rejected', 'accepted'],
+  accepted: ['rejected'],
+  rejected: []
+};
+
+const isInternshipOwner = (internship, user) =>
+  user.role === 'admin' || internship.company.toString() === user._id.toString();
+
+// Flip between 'active' and 'filled' based on how many applicants have been accepted
+const syncFilledStatus = (internship) => {
+  const acceptedCount = internship.applications.filter(app => app.status === 'accepted').length;
+
+  if (internship.status === 'active' && acceptedCount >= internship.positionsAvailable) {
+    internship.status = 'filled';
+  } else if (internship.status === 'filled' && acceptedCount < internship.positionsAvailable) {
+    internship.status = 'active';
+  }
+
+  return acceptedCount;
+};
+
+const ACCEPTED_COUNT = {
+  $size: {
+    $filter: {
+      input: '$applications',
+      cond: { $eq: ['$$this.status', 'accepted'] }
+    }
+  }
+};
+
+// syncFilledStatus as a single update, for writes that don't save the whole document
+const syncFilledStatusAtomic = (internshipId) =>
+  Internship.findOneAndUpdate(
+    { _id: internshipId, status: { $in: ['active', 'filled'] } },
+    [{
+      $set: {
+        status: {
+          $cond: [{ $gte: [ACCEPTED_COUNT, '$positionsAvailable'] }, 'filled', 'active']
+        }
+      }
+    }],
+    { new: true }
+  );
 
 // @desc    Create a new internship
 // @route   POST /api/internships
@@ -112,6 +160,9 @@ export const updateInternship = async (req, res) => {
       internship.adminApprovalStatus = 'pending';
     }
 
+    // Re-evaluate filled status in case positionsAvailable changed
+    syncFilledStatus(internship);
+
     await internship.save();
 
     res.status(200).json({
@@ -178,6 +229,7 @@ export const getAllInternships = async (req, res) => {
     }
 
     const internships = await Internship.find(query)
+      .select('-applications')
       .populate('company', 'name email employerDetails.companyName employerDetails.companyWebsite')
       .sort({ createdAt: -1 })
       .skip(skip)
@@ -212,6 +264,7 @@ export const getAllInternships = async (req, res) => {
 export const getInternshipById = async (req, res) => {
   try {
     const internship = await Internship.findById(req.params.id)
+      .select('-applications')
       .populate('company', 'name email employerDetails');
 
     if (!internship) {
@@ -327,3 +380,358 @@ export const deleteInternship = async (req, res) => {
   }
 };
 
+
+// @desc    Apply to an internship
+// @route   POST /api/internships/:id/apply
+// @access  Private/Student
+export const applyToInternship = async (req, res) => {
+  try {
+    const { resumeUrl, coverLetter } = req.body;
+
+    if (!resumeUrl) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a resume URL'
+      });
+    }
+
+    const internship = await Internship.findById(req.params.id);
+
+    if (!internship || internship.adminApprovalStatus !== 'approved' || !internship.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Internship not found'
+      });
+    }
+
+    if (internship.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `This internship is ${internship.status} and is not accepting applications`
+      });
+    }
+
+    if (internship.applicationDeadline < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The application deadline for this internship has passed'
+      });
+    }
+
+    const application = {
+      studentId: req.user._id,
+      studentName: req.user.name,
+      studentEmail: req.user.email,
+      appliedAt: new Date(),
+      status: 'applied',
+      resumeUrl,
+      coverLetter
+    };
+
+    // Guard against duplicate applications in the same atomic update
+    const updated = await Internship.findOneAndUpdate(
+      {
+        _id: internship._id,
+        status: 'active',
+        applicationDeadline: { $gte: new Date() },
+        'applications.studentId': { $ne: req.user._id }
+      },
+      {
+        $push: { applications: application },
+        $inc: { applicationsReceived: 1 }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      // Work out which guard failed: the internship may have changed since it was loaded
+      const current = await Internship.findById(internship._id).select('status applicationDeadline applications.studentId');
+      let message = 'You have already applied to this internship';
+      if (!current) {
+        message = 'Internship not found';
+      } else if (current.status !== 'active') {
+        message = `This internship is ${current.status} and is not accepting applications`;
+      } else if (current.applicationDeadline < new Date()) {
+        message = 'The application deadline for this internship has passed';
+      }
+      return res.status(current ? 400 : 404).json({
+        success: false,
+        message
+      });
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      {
+        $push: {
+          'studentDetails.internships': {
+            internshipId: internship._id,
+            appliedDate: application.appliedAt,
+            status: 'applied'
+          }
+        }
+      }
+    );
+
+    const savedApplication = updated.applications.find(
+      app => app.studentId.toString() === req.user._id.toString()
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted successfully',
+      data: savedApplication
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error applying to internship',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Withdraw an internship application
+// @route   DELETE /api/internships/:id/apply
+// @access  Private/Student
+export const withdrawApplication = async (req, res) => {
+  try {
+    const internship = await Internship.findById(req.params.id);
+
+    if (!internship) {
+      return res.status(404).json({
+        success: false,
+        message: 'Internship not found'
+      });
+    }
+
+    const application = internship.applications.find(
+      app => app.studentId && app.studentId.toString() === req.user._id.toString()
+    );
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not applied to this internship'
+      });
+    }
+
+    if (application.status === 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: 'A rejected application cannot be withdrawn'
+      });
+    }
+
+    // Conditional update: the application must still be in the status we
+    // checked, so a concurrent accept or reject isn't silently discarded
+    const updated = await Internship.findOneAndUpdate(
+      {
+        _id: internship._id,
+        applications: { $elemMatch: { _id: application._id, status: application.status } }
+      },
+      [{
+        $set: {
+          applications: {
+            $filter: {
+              input: '$applications',
+              cond: { $ne: ['$$this._id', application._id] }
+            }
+          },
+          applicationsReceived: { $max: [0, { $subtract: ['$applicationsReceived', 1] }] }
+        }
+      }],
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await Internship.findById(internship._id);
+      const currentApplication = current?.applications.id(application._id);
+      if (!currentApplication) {
+        return res.status(404).json({
+          success: false,
+          message: 'You have not applied to this internship'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        message: `Application status changed to ${currentApplication.status}, please try again`
+      });
+    }
+
+    await syncFilledStatusAtomic(internship._id);
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { 'studentDetails.internships': { internshipId: internship._id } } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Application withdrawn successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error withdrawing application',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get applications for an internship
+// @route   GET /api/internships/:id/applications
+// @access  Private/Employer (own internships) or Admin
+export const getInternshipApplications = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const internship = await Internship.findById(req.params.id)
+      .populate('applications.studentId', 'name email phone studentDetails.collegeName studentDetails.course studentDetails.year');
+
+    if (!internship) {
+      return res.status(404).json({
+        success: false,
+        message: 'Internship not found'
+      });
+    }
+
+    if (!isInternshipOwner(internship, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view applications for this internship'
+      });
+    }
+
+    const applications = status
+      ? internship.applications.filter(app => app.status === status)
+      : internship.applications;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        applications,
+        summary: {
+          applicationsReceived: internship.applicationsReceived,
+          positionsAvailable: internship.positionsAvailable,
+          accepted: internship.applications.filter(app => app.status === 'accepted').length,
+          status: internship.status
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching applications',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Shortlist, reject or accept an applicant
+// @route   PUT /api/internships/:id/applications/:applicationId/status
+// @access  Private/Employer (own internships) or Admin
+export const updateApplicationStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!['shortlisted', 'rejected', 'accepted'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Use "shortlisted", "rejected" or "accepted"'
+      });
+    }
+
+    const internship = await Internship.findById(req.params.id);
+
+    if (!internship) {
+      return res.status(404).json({
+        success: false,
+        message: 'Internship not found'
+      });
+    }
+
+    if (!isInternshipOwner(internship, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage applications for this internship'
+      });
+    }
+
+    const application = internship.applications.id(req.params.applicationId);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!APPLICATION_TRANSITIONS[application.status].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change application status from ${application.status} to ${status}`
+      });
+    }
+
+    // Conditional update: the application must still be in the status we
+    // checked, and accepting must not exceed the positions available
+    const filter = {
+      _id: internship._id,
+      applications: { $elemMatch: { _id: application._id, status: application.status } }
+    };
+    if (status === 'accepted') {
+      filter.$expr = { $lt: [ACCEPTED_COUNT, '$positionsAvailable'] };
+    }
+
+    const updated = await Internship.findOneAndUpdate(
+      filter,
+      { $set: { 'applications.$[app].status': status } },
+      { new: true, arrayFilters: [{ 'app._id': application._id }] }
+    );
+
+    if (!updated) {
+      const current = await Internship.findById(internship._id);
+      const currentApplication = current?.applications.id(application._id);
+      if (!currentApplication) {
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found'
+        });
+      }
+      if (currentApplication.status !== application.status) {
+        return res.status(409).json({
+          success: false,
+          message: `Application status changed to ${currentApplication.status}, please try again`
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'All positions for this internship have already been filled'
+      });
+    }
+
+    const synced = await syncFilledStatusAtomic(internship._id) || updated;
+    const updatedApplication = synced.applications.id(application._id);
+
+    await User.updateOne(
+      { _id: application.studentId, 'studentDetails.internships.internshipId': internship._id },
+      { $set: { 'studentDetails.internships.$.status': status } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Application ${status} successfully`,
+      data: {
+        application: updatedApplication,
+        internshipStatus: synced.status
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating application status',
+      error: error.message
+    });
+  }
+};
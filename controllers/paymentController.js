@@ -1,69 +1,26 @@
+import mongoose from 'mongoose';
 import Payment from '../models/Payment.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import ReconciliationRun from '../models/ReconciliationRun.js';
 import { 
   createRazorpayOrder, 
   verifyPaymentSignature, 
-  getPaymentDetails,
-  processRazorpayRefund 
+  getPaymentDetails
 } from '../utils/razorpay.js';
+import { fulfillPayment } from '../utils/paymentFulfillment.js';
+import { canTransitionPaymentStatus } from '../utils/paymentStatus.js';
+import {
+  recordWebhookEvent,
+  processWebhookEvent,
+  claimWebhookEventForRetry
+} from '../utils/razorpayWebhooks.js';
+import { reconcileStalePayments } from '../utils/paymentReconciliation.js';
+import { ensureInvoice, ensureCreditNote, issuePaymentDocuments } from '../utils/invoices.js';
+import { priceOrderItems } from '../utils/orderPricing.js';
+import { applyCoupon } from '../utils/coupons.js';
+import { issueRefund } from '../utils/paymentRefunds.js';
 import crypto from 'crypto';
 
-// @desc    Create a new payment
-// @route   POST /api/payments
-// @access  Private/All authenticated users
-export const createPayment = async (req, res) => {
-  try {
-    const {
-      orderId,
-      transactionId,
-      amount,
-      currency,
-      paymentMethod,
-      paymentGateway,
-      items,
-      billingAddress,
-      metadata
-    } = req.body;
-
-    // Validate required fields
-    if (!orderId || !amount || !paymentMethod || !items || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide orderId, amount, paymentMethod, and items'
-      });
-    }
-
-    const paymentData = {
-      user: req.user._id,
-      userName: req.user.name,
-      userEmail: req.user.email,
-      orderId,
-      transactionId,
-      amount,
-      currency: currency || 'INR',
-      paymentMethod,
-      paymentGateway: paymentGateway || 'razorpay',
-      items,
-      billingAddress,
-      metadata,
-      paymentStatus: 'pending'
-    };
-
-    const payment = await Payment.create(paymentData);
-
-    res.status(201).json({
-      success: true,
-      message: 'Payment created successfully',
-      data: payment
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error creating payment',
-      error: error.message
-    });
-  }
-};
-
 // @desc    Get all payments with filters
 // @route   GET /api/payments
 // @access  Private/Admin
@@ -171,8 +128,8 @@ export const getPaymentById = async (req, res) => {
       });
     }
 
-    // Check if user is authorized (admin or payment owner)
-    if (req.user.role !== 'admin' && payment.user.toString() !== req.user._id.toString()) {
+    // Check if user is authorized (payments admin or payment owner)
+    if (!req.user.hasPermission('manage_payments') && payment.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this payment'
@@ -192,6 +149,101 @@ export const getPaymentById = async (req, res) => {
   }
 };
 
+// @desc    Download tax invoice for a payment
+// @route   GET /api/payments/:id/invoice
+// @access  Private/Admin or Payment owner
+export const getPaymentInvoice = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    // Check if user is authorized (payments admin or payment owner)
+    if (!req.user.hasPermission('manage_payments') && payment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this invoice'
+      });
+    }
+
+    const filePath = await ensureInvoice(payment);
+
+    if (!filePath) {
+      return res.status(400).json({
+        success: false,
+        message: 'An invoice is only available once the payment has completed'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=${payment.invoiceNumber.replace(/\//g, '-')}.pdf`);
+    res.sendFile(filePath);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error generating invoice',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download credit note for a refund
+// @route   GET /api/payments/:id/credit-notes/:refundId
+// @access  Private/Admin or Payment owner
+export const getPaymentCreditNote = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    // Check if user is authorized (payments admin or payment owner)
+    if (!req.user.hasPermission('manage_payments') && payment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this credit note'
+      });
+    }
+
+    if (!payment.refunds.id(req.params.refundId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    const filePath = await ensureCreditNote(payment, req.params.refundId);
+
+    if (!filePath) {
+      return res.status(400).json({
+        success: false,
+        message: 'A credit note is only available once the refund has been processed'
+      });
+    }
+
+    const refund = (await Payment.findById(payment._id)).refunds.id(req.params.refundId);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=${refund.creditNoteNumber.replace(/\//g, '-')}.pdf`);
+    res.sendFile(filePath);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error generating credit note',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Update payment status
 // @route   PUT /api/payments/:id/status
 // @access  Private/Admin or Payment Gateway webhook
@@ -208,6 +260,20 @@ export const updatePaymentStatus = async (req, res) => {
       });
     }
 
+    if (['partially_refunded', 'refunded'].includes(paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refunds must be issued through PUT /api/payments/:id/refund'
+      });
+    }
+
+    if (paymentStatus && !canTransitionPaymentStatus(payment.paymentStatus, paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change payment status from ${payment.paymentStatus} to ${paymentStatus}`
+      });
+    }
+
     // Update fields
     if (paymentStatus) {
       payment.paymentStatus = paymentStatus;
@@ -231,6 +297,11 @@ export const updatePaymentStatus = async (req, res) => {
 
     await payment.save();
 
+    // Grant purchased items
+    if (payment.paymentStatus === 'completed') {
+      await fulfillPayment(payment);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Payment status updated successfully',
@@ -252,61 +323,30 @@ export const processRefund = async (req, res) => {
   try {
     const { refundAmount, refundReason, notes } = req.body;
 
-    if (!refundAmount || refundAmount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide a valid refund amount'
-      });
-    }
-
-    const payment = await Payment.findById(req.params.id);
-
-    if (!payment) {
-      return res.status(404).json({
-        success: false,
-        message: 'Payment not found'
-      });
-    }
-
-    if (payment.paymentStatus !== 'completed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Can only refund completed payments'
-      });
-    }
-
-    if (payment.refundAmount > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment has already been refunded'
-      });
-    }
-
-    // Check if refund amount exceeds payment amount
-    if (refundAmount > payment.amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Refund amount cannot exceed payment amount'
-      });
-    }
+    let payment = await issueRefund(req.params.id, {
+      amount: refundAmount,
+      reason: refundReason || 'Requested refund',
+      initiatedBy: req.user._id
+    });
 
-    // Update payment with refund details
-    payment.refundAmount = refundAmount;
-    payment.refundReason = refundReason || 'Requested refund';
-    payment.refundedAt = new Date();
-    payment.paymentStatus = 'refunded';
     if (notes) {
-      payment.notes = notes;
+      payment = await Payment.findByIdAndUpdate(payment._id, { $set: { notes } }, { new: true });
     }
 
-    await payment.save();
-
     res.status(200).json({
       success: true,
-      message: 'Refund processed successfully',
+      message: payment.paymentStatus === 'refunded'
+        ? 'Refund processed successfully'
+        : 'Partial refund processed successfully',
       data: payment
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error processing refund',
@@ -362,20 +402,63 @@ export const getMyPayments = async (req, res) => {
 // @access  Private/All authenticated users
 export const createRazorpayOrderHandler = async (req, res) => {
   try {
-    const { amount, currency = 'INR', items, billingAddress, metadata } = req.body;
+    const { items, couponCode, billingAddress, metadata } = req.body;
 
-    // Validate required fields
-    if (!amount || amount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide a valid amount'
-      });
+    // Price the order from the catalogue; client-supplied amounts are ignored
+    let pricing = await priceOrderItems(items, { user: req.user });
+
+    if (couponCode) {
+      pricing = await applyCoupon(pricing, couponCode, req.user._id);
     }
 
-    if (!items || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide at least one item'
+    // Fixed up front so free orders can use it as their order id
+    const paymentId = new mongoose.Types.ObjectId();
+
+    const paymentData = {
+      _id: paymentId,
+      user: req.user._id,
+      userName: req.user.name,
+      userEmail: req.user.email,
+      amount: pricing.total,
+      currency: pricing.currency,
+      items: pricing.items,
+      pricing: {
+        subtotal: pricing.subtotal,
+        discount: pricing.discount || 0,
+        total: pricing.total,
+        computedAt: new Date()
+      },
+      // The coupon use is counted when the payment completes
+      coupon: pricing.coupon,
+      billingAddress,
+      metadata
+    };
+
+    // Fully discounted orders skip the gateway and are fulfilled straight away
+    if (pricing.total <= 0) {
+      const payment = await Payment.create({
+        ...paymentData,
+        orderId: `free_${paymentId}`,
+        paymentMethod: 'other',
+        paymentGateway: 'manual',
+        paymentStatus: 'completed'
+      });
+
+      await fulfillPayment(payment);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Order completed successfully',
+        data: {
+          order: null,
+          payment: {
+            id: payment._id,
+            orderId: payment.orderId,
+            items: payment.items,
+            pricing: payment.pricing,
+            paymentStatus: payment.paymentStatus
+          }
+        }
       });
     }
 
@@ -392,29 +475,20 @@ export const createRazorpayOrderHandler = async (req, res) => {
 
     // Create Razorpay order
     const razorpayOrder = await createRazorpayOrder(
-      amount,
-      currency,
+      pricing.total,
+      pricing.currency,
       receiptId,
       notes
     );
 
     // Create payment record in database with pending status
-    const paymentData = {
-      user: req.user._id,
-      userName: req.user.name,
-      userEmail: req.user.email,
+    const payment = await Payment.create({
+      ...paymentData,
       orderId: razorpayOrder.id,
-      amount,
-      currency,
       paymentMethod: 'upi', // Default, will be updated after payment
       paymentGateway: 'razorpay',
-      items,
-      billingAddress,
-      metadata,
       paymentStatus: 'pending'
-    };
-
-    const payment = await Payment.create(paymentData);
+    });
 
     res.status(201).json({
       success: true,
@@ -430,11 +504,20 @@ export const createRazorpayOrderHandler = async (req, res) => {
         },
         payment: {
           id: payment._id,
-          orderId: payment.orderId
+          orderId: payment.orderId,
+          items: payment.items,
+          pricing: payment.pricing
         }
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Error creating Razorpay order:', error);
     res.status(500).json({
       success: false,
@@ -481,9 +564,12 @@ export const verifyRazorpayPayment = async (req, res) => {
     const isSignatureValid = verifyPaymentSignature(orderId, paymentId, signature);
 
     if (!isSignatureValid) {
-      payment.paymentStatus = 'failed';
-      payment.notes = 'Payment verification failed: Invalid signature';
-      await payment.save();
+      // Never let a bad signature downgrade a payment that has already settled
+      if (canTransitionPaymentStatus(payment.paymentStatus, 'failed')) {
+        payment.paymentStatus = 'failed';
+        payment.notes = 'Payment verification failed: Invalid signature';
+        await payment.save();
+      }
 
       return res.status(400).json({
         success: false,
@@ -493,10 +579,18 @@ export const verifyRazorpayPayment = async (req, res) => {
 
     // Fetch payment details from Razorpay
     const razorpayPayment = await getPaymentDetails(paymentId);
+    const nextStatus = razorpayPayment.status === 'captured' ? 'completed' : 'processing';
+
+    if (!canTransitionPaymentStatus(payment.paymentStatus, nextStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: `Payment is already ${payment.paymentStatus}`
+      });
+    }
 
     // Update payment record
     payment.transactionId = paymentId;
-    payment.paymentStatus = razorpayPayment.status === 'captured' ? 'completed' : 'processing';
+    payment.paymentStatus = nextStatus;
     payment.paymentMethod = razorpayPayment.method || payment.paymentMethod;
     
     if (razorpayPayment.status === 'captured') {
@@ -516,6 +610,10 @@ export const verifyRazorpayPayment = async (req, res) => {
 
     await payment.save();
 
+    if (payment.paymentStatus === 'completed') {
+      await fulfillPayment(payment);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Payment verified successfully',
@@ -526,7 +624,8 @@ export const verifyRazorpayPayment = async (req, res) => {
           transactionId: payment.transactionId,
           amount: payment.amount,
           status: payment.paymentStatus,
-          paymentMethod: payment.paymentMethod
+          paymentMethod: payment.paymentMethod,
+          fulfillmentStatus: payment.fulfillmentStatus
         }
       }
     });
@@ -577,21 +676,21 @@ export const razorpayWebhook = async (req, res) => {
     // Parse body if it's a Buffer or string
     const event = req.body instanceof Buffer ? JSON.parse(webhookBody) : req.body;
 
-    // Handle different webhook events
-    switch (event.event) {
-      case 'payment.captured':
-        await handlePaymentCaptured(event.payload.payment.entity);
-        break;
-      case 'payment.failed':
-        await handlePaymentFailed(event.payload.payment.entity);
-        break;
-      case 'order.paid':
-        await handleOrderPaid(event.payload.order.entity);
-        break;
-      default:
-        console.log(`Unhandled webhook event: ${event.event}`);
+    // Razorpay sends the same event id on every retry of a delivery
+    const eventId = req.headers['x-razorpay-event-id']
+      || crypto.createHash('sha256').update(webhookBody).digest('hex');
+
+    const { webhookEvent, duplicate } = await recordWebhookEvent(eventId, event);
+
+    if (duplicate) {
+      return res.status(200).json({
+        success: true,
+        message: `Duplicate webhook event skipped (${webhookEvent.status})`
+      });
     }
 
+    await processWebhookEvent(webhookEvent);
+
     res.status(200).json({ success: true, message: 'Webhook processed' });
   } catch (error) {
     console.error('Error processing webhook:', error);
@@ -603,61 +702,176 @@ export const razorpayWebhook = async (req, res) => {
   }
 };
 
-// Helper function to handle payment captured event
-const handlePaymentCaptured = async (paymentEntity) => {
+// @desc    Get stored Razorpay webhook events
+// @route   GET /api/admin/webhook-events
+// @access  Private/Admin
+export const getWebhookEvents = async (req, res) => {
   try {
-    const payment = await Payment.findOne({ orderId: paymentEntity.order_id });
+    const { page = 1, limit = 10, status, event } = req.query;
+    const skip = (page - 1) * limit;
 
-    if (payment) {
-      payment.transactionId = paymentEntity.id;
-      payment.paymentStatus = 'completed';
-      payment.paymentMethod = paymentEntity.method || payment.paymentMethod;
-      payment.receiptUrl = paymentEntity.receipt || null;
-      payment.metadata = {
-        ...payment.metadata,
-        razorpayPayment: {
-          method: paymentEntity.method,
-          bank: paymentEntity.bank,
-          wallet: paymentEntity.wallet,
-          vpa: paymentEntity.vpa,
-          email: paymentEntity.email,
-          contact: paymentEntity.contact
-        }
-      };
-      await payment.save();
+    const query = {};
+
+    if (status) {
+      query.status = status;
     }
+
+    if (event) {
+      query.event = event;
+    }
+
+    const events = await WebhookEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await WebhookEvent.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
   } catch (error) {
-    console.error('Error handling payment captured:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook events',
+      error: error.message
+    });
   }
 };
 
-// Helper function to handle payment failed event
-const handlePaymentFailed = async (paymentEntity) => {
+// @desc    Re-process a failed Razorpay webhook event
+// @route   POST /api/admin/webhook-events/:id/reprocess
+// @access  Private/Admin
+export const reprocessWebhookEvent = async (req, res) => {
   try {
-    const payment = await Payment.findOne({ orderId: paymentEntity.order_id });
+    const existing = await WebhookEvent.findById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    // Claim the event so a Razorpay retry can't process it at the same time
+    const webhookEvent = await claimWebhookEventForRetry({ _id: existing._id });
 
-    if (payment) {
-      payment.transactionId = paymentEntity.id;
-      payment.paymentStatus = 'failed';
-      payment.notes = paymentEntity.error_description || 'Payment failed';
-      await payment.save();
+    if (!webhookEvent) {
+      return res.status(400).json({
+        success: false,
+        message: existing.status === 'processing'
+          ? 'This event is still being processed'
+          : `Only failed or stuck events can be re-processed. This event is ${existing.status}`
+      });
+    }
+
+    try {
+      await processWebhookEvent(webhookEvent);
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Webhook event failed again',
+        error: error.message,
+        data: webhookEvent
+      });
     }
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook event re-processed successfully',
+      data: webhookEvent
+    });
   } catch (error) {
-    console.error('Error handling payment failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error re-processing webhook event',
+      error: error.message
+    });
   }
 };
 
-// Helper function to handle order paid event
-const handleOrderPaid = async (orderEntity) => {
+// @desc    Run stale payment reconciliation now
+// @route   POST /api/admin/reconciliation/run
+// @access  Private/Admin
+export const runPaymentReconciliation = async (req, res) => {
   try {
-    const payment = await Payment.findOne({ orderId: orderEntity.id });
+    const { olderThanMinutes } = req.body;
 
-    if (payment && payment.paymentStatus !== 'completed') {
-      payment.paymentStatus = 'completed';
-      await payment.save();
+    if (olderThanMinutes !== undefined && (!Number.isInteger(olderThanMinutes) || olderThanMinutes < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'olderThanMinutes must be a non-negative whole number'
+      });
     }
+
+    const run = await reconcileStalePayments({
+      olderThanMinutes,
+      trigger: 'manual',
+      triggeredBy: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Reconciliation complete: ${run.changes.length} of ${run.checked} payments updated`,
+      data: run
+    });
   } catch (error) {
-    console.error('Error handling order paid:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running payment reconciliation',
+      error: error.message
+    });
   }
 };
 
+// @desc    Get payment reconciliation run reports
+// @route   GET /api/admin/reconciliation/runs
+// @access  Private/Admin
+export const getReconciliationRuns = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, trigger } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (trigger) {
+      query.trigger = trigger;
+    }
+
+    const runs = await ReconciliationRun.find(query)
+      .populate('triggeredBy', 'name email')
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ReconciliationRun.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation runs',
+      error: error.message
+    });
+  }
+};
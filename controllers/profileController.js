@@ -0,0 +1,483 @@
+import { ZipArchive } from 'archiver';
+import User from '../models/User.js';
+import { createSession, revokeAllSessions } from '../utils/sessions.js';
+import { sendEmail, safeHtml } from '../utils/mailer.js';
+import { unlinkAccount } from '../utils/accountLinks.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { buildPersonalDataExport, anonymizeUser, getDeletionGraceDays } from '../utils/accountData.js';
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'country', 'zipCode'];
+
+// Fields each role may edit on its own profile. Anything else (role, status,
+// approval and bookkeeping fields, email, password) goes through its own flow.
+const EDITABLE_PROFILE_FIELDS = {
+  common: ['name', 'phone', 'avatar'],
+  student: [
+    'studentDetails.collegeName',
+    'studentDetails.course',
+    'studentDetails.year'
+  ],
+  employer: [
+    'employerDetails.companyName',
+    'employerDetails.companyWebsite',
+    'employerDetails.companyDescription',
+    'employerDetails.industry',
+    ...ADDRESS_FIELDS.map(field => `employerDetails.address.${field}`)
+  ],
+  college: [
+    'collegeDetails.contactPerson',
+    'collegeDetails.contactEmail',
+    'collegeDetails.contactPhone',
+    ...ADDRESS_FIELDS.map(field => `collegeDetails.address.${field}`)
+  ],
+  content_writer: [
+    'contentWriterDetails.bio',
+    'contentWriterDetails.specialization'
+  ],
+  admin: []
+};
+
+// Flatten a nested request body into dotted paths; arrays are treated as values
+const flattenFields = (value, prefix = '') => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return prefix ? { [prefix]: value } : {};
+  }
+  return Object.entries(value).reduce((fields, [key, nested]) => ({
+    ...fields,
+    ...flattenFields(nested, prefix ? `${prefix}.${key}` : key)
+  }), {});
+};
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// @desc    Update own profile
+// @route   PUT /api/auth/me
+// @access  Private
+export const updateMe = async (req, res) => {
+  try {
+    const allowedFields = [...EDITABLE_PROFILE_FIELDS.common, ...(EDITABLE_PROFILE_FIELDS[req.user.role] || [])];
+    const updates = flattenFields(req.body);
+    const paths = Object.keys(updates);
+
+    if (paths.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide at least one field to update'
+      });
+    }
+
+    const disallowed = paths.filter(path => !allowedFields.includes(path));
+    if (disallowed.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be updated here: ${disallowed.join(', ')}`,
+        allowedFields
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    paths.forEach(path => user.set(path, updates[path]));
+
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(err => err.message).join(', ')
+        });
+      }
+      throw error;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      user,
+      roleDescription: user.getRoleDescription()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating profile',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change own password
+// @route   PUT /api/auth/me/password
+// @access  Private
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your current password and a new password'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    user.password = newPassword;
+    // Backdate slightly so the token issued below isn't rejected (iat has second precision)
+    user.passwordChangedAt = new Date(Date.now() - 1000);
+    await user.save();
+
+    // Sign out every other device and hand this one a fresh session
+    await revokeAllSessions(user._id, 'password_changed');
+    const { token, refreshToken } = await createSession(user, req);
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'Your Kiwise EduTech password was changed',
+        text: `Hi ${user.name},\n\nThe password for your ${user.role} account was just changed and all other devices were signed out.\n\nIf you did not do this, reset your password immediately at ${getFrontendUrl()}/forgot-password.`,
+        html: safeHtml`<p>Hi ${user.name},</p><p>The password for your ${user.role} account was just changed and all other devices were signed out.</p><p>If you did not do this, <a href="${getFrontendUrl()}/forgot-password">reset your password</a> immediately.</p>`
+      });
+    } catch (error) {
+      console.error('Error sending password change email:', error);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully. All other sessions have been signed out',
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Request an email change; the new address must be confirmed
+// @route   PUT /api/auth/me/email
+// @access  Private
+export const requestEmailChange = async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    if (!newEmail || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the new email and your password'
+      });
+    }
+
+    const normalizedEmail = newEmail.trim().toLowerCase();
+    if (!/^\S+@\S+\.\S+$/.test(normalizedEmail)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (normalizedEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address'
+      });
+    }
+
+    const taken = await User.exists({ email: normalizedEmail, role: user.role });
+    if (taken) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${user.role} account already exists with this email`
+      });
+    }
+
+    const token = user.createEmailChangeToken(normalizedEmail);
+    await user.save({ validateBeforeSave: false });
+
+    const confirmUrl = `${getFrontendUrl()}/confirm-email-change/${token}`;
+    await sendEmail({
+      to: normalizedEmail,
+      subject: 'Confirm your new Kiwise EduTech email address',
+      text: `Hi ${user.name},\n\nPlease confirm this address as the new email for your ${user.role} account by opening the link below. The link expires in 24 hours.\n\n${confirmUrl}\n\nIf you did not request this change, you can ignore this email.`,
+      html: safeHtml`<p>Hi ${user.name},</p><p>Please confirm this address as the new email for your ${user.role} account by clicking the link below. The link expires in 24 hours.</p><p><a href="${confirmUrl}">Confirm email</a></p><p>If you did not request this change, you can ignore this email.</p>`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Confirmation link sent to ${normalizedEmail}. Your email will change once it is confirmed`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting email change',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm an email change
+// @route   GET /api/auth/me/email/confirm/:token
+// @access  Public
+export const confirmEmailChange = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailChangeToken: User.hashToken(req.params.token),
+      emailChangeExpire: { $gt: new Date() }
+    });
+
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email change link is invalid or has expired'
+      });
+    }
+
+    const previousEmail = user.email;
+    user.email = user.pendingEmail;
+    // Opening the link proves ownership of the new address
+    user.isVerified = true;
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpire = undefined;
+
+    try {
+      await user.save({ validateBeforeSave: false });
+    } catch (error) {
+      // Another account claimed the address after the change was requested
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${user.role} account already exists with this email`
+        });
+      }
+      throw error;
+    }
+
+    // Linked role accounts share an email, so this one leaves its identity
+    if (user.identity) {
+      await unlinkAccount(user);
+    }
+
+    try {
+      await sendEmail({
+        to: previousEmail,
+        subject: 'Your Kiwise EduTech email address was changed',
+        text: `Hi ${user.name},\n\nThe email address for your ${user.role} account was changed to ${user.email}. If you did not do this, please contact support immediately.`,
+        html: safeHtml`<p>Hi ${user.name},</p><p>The email address for your ${user.role} account was changed to ${user.email}. If you did not do this, please contact support immediately.</p>`
+      });
+    } catch (error) {
+      console.error('Error sending email change notice:', error);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address updated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming email change',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export all personal data held about the current user
+// @route   GET /api/auth/me/export?format=json|zip
+// @access  Private
+export const exportMyData = async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or zip'
+      });
+    }
+
+    const data = await buildPersonalDataExport(req.user._id);
+    const filename = `kiwise-data-export-${req.user._id}-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.status(200).json({
+        success: true,
+        data
+      });
+    }
+
+    // One JSON file per section so the bundle is easy to browse
+    const archive = new ZipArchive({ zlib: { level: 9 } });
+    archive.on('error', (error) => {
+      console.error('Error building data export archive:', error);
+      res.destroy(error);
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`);
+    archive.pipe(res);
+
+    Object.entries(data).forEach(([section, content]) => {
+      archive.append(JSON.stringify(content, null, 2), { name: `${section}.json` });
+    });
+    await archive.finalize();
+  } catch (error) {
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting data',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Request deletion of the current account
+// @route   POST /api/auth/me/deletion
+// @access  Private
+export const requestAccountDeletion = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (req.user.role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin accounts must be removed by a super-admin'
+      });
+    }
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password to confirm'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: `Your account is already scheduled for deletion on ${user.deletionScheduledFor.toUTCString()}`
+      });
+    }
+
+    const graceDays = getDeletionGraceDays();
+
+    await recordAudit({
+      action: 'account_deletion_requested',
+      actor: user._id,
+      targetUser: user._id,
+      details: { graceDays },
+      req
+    });
+
+    if (graceDays === 0) {
+      await anonymizeUser(user._id);
+      return res.status(200).json({
+        success: true,
+        message: 'Your account has been deleted'
+      });
+    }
+
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'Your Kiwise EduTech account is scheduled for deletion',
+        text: `Hi ${user.name},\n\nYour ${user.role} account will be deleted on ${user.deletionScheduledFor.toUTCString()}. Until then you can log in and cancel the request.\n\nPayment records are kept in anonymized form as required for accounting.`,
+        html: safeHtml`<p>Hi ${user.name},</p><p>Your ${user.role} account will be deleted on ${user.deletionScheduledFor.toUTCString()}. Until then you can log in and cancel the request.</p><p>Payment records are kept in anonymized form as required for accounting.</p>`
+      });
+    } catch (error) {
+      console.error('Error sending deletion email:', error);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted on ${user.deletionScheduledFor.toUTCString()}. Log in before then to cancel`,
+      data: {
+        deletionScheduledFor: user.deletionScheduledFor
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting account deletion',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel a pending account deletion
+// @route   DELETE /api/auth/me/deletion
+// @access  Private
+export const cancelAccountDeletion = async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id, deletionScheduledFor: { $exists: true }, deletedAt: { $exists: false } },
+      { $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1 } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not scheduled for deletion'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling account deletion',
+      error: error.message
+    });
+  }
+};
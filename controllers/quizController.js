@@ -0,0 +1,482 @@
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import { loadCourseLesson } from '../utils/courseAccess.js';
+import { setLessonCompletion } from '../utils/courseProgress.js';
+import {
+  SUBMISSION_GRACE_MS,
+  normalizeQuestions,
+  toStudentQuestion,
+  getAttemptQuestions,
+  gradeAnswers,
+  validateSubmittedAnswers,
+  scoreAttempt,
+  buildAttemptReview,
+  shuffle
+} from '../utils/quizzes.js';
+
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+const loadQuizLesson = (req, options = {}) =>
+  loadCourseLesson(req, { ...options, lessonType: 'quiz' });
+
+const loadQuiz = async (course, lesson) => {
+  const quiz = await Quiz.findOne({ course: course._id, lessonId: lesson._id });
+  if (!quiz || quiz.questions.length === 0) {
+    const error = new Error('No quiz has been set up for this lesson');
+    error.statusCode = 404;
+    throw error;
+  }
+  return quiz;
+};
+
+const isPastDeadline = (attempt, now = Date.now()) =>
+  Boolean(attempt.expiresAt) && now > attempt.expiresAt.getTime() + SUBMISSION_GRACE_MS;
+
+// An attempt that ran out of time scores nothing
+const expireAttempt = async (attempt, quiz) => {
+  const questions = getAttemptQuestions(quiz, attempt);
+  return QuizAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in_progress' },
+    {
+      $set: {
+        status: 'expired',
+        submittedAt: new Date(),
+        score: 0,
+        maxScore: questions.reduce((total, question) => total + question.points, 0),
+        percentage: 0,
+        passed: false
+      }
+    },
+    { new: true }
+  );
+};
+
+const summarizeAttempt = (attempt) => ({
+  _id: attempt._id,
+  attemptNumber: attempt.attemptNumber,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  expiresAt: attempt.expiresAt,
+  submittedAt: attempt.submittedAt,
+  score: attempt.score,
+  maxScore: attempt.maxScore,
+  percentage: attempt.percentage,
+  passed: attempt.passed
+});
+
+// @desc    Create or replace the quiz for a lesson
+// @route   PUT /api/courses/:id/lessons/:lessonId/quiz
+// @access  Private/Admin or Content Writer (own courses)
+export const upsertQuiz = async (req, res) => {
+  try {
+    const { course, lesson } = await loadQuizLesson(req, { manage: true });
+    const questions = normalizeQuestions(req.body.questions);
+
+    let quiz = await Quiz.findOne({ course: course._id, lessonId: lesson._id });
+    const isNew = !quiz;
+    if (isNew) {
+      quiz = new Quiz({ course: course._id, lessonId: lesson._id, createdBy: req.user._id });
+    }
+
+    ['title', 'instructions', 'timeLimitMinutes', 'maxAttempts', 'passPercentage', 'shuffleQuestions']
+      .forEach(field => {
+        if (req.body[field] !== undefined) {
+          quiz[field] = req.body[field];
+        }
+      });
+    if (!quiz.title) {
+      quiz.title = lesson.lessonTitle;
+    }
+    quiz.questions = questions;
+    quiz.updatedBy = req.user._id;
+
+    await quiz.save();
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Quiz created successfully' : 'Quiz updated successfully',
+      data: quiz
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    sendError(res, error, 'Error saving quiz');
+  }
+};
+
+// @desc    Get a lesson's quiz (answers only for the author and admins)
+// @route   GET /api/courses/:id/lessons/:lessonId/quiz
+// @access  Private (enrolled students, the author or admins)
+export const getQuiz = async (req, res) => {
+  try {
+    const { course, lesson, isManager } = await loadQuizLesson(req);
+    const quiz = await loadQuiz(course, lesson);
+
+    if (isManager) {
+      return res.status(200).json({
+        success: true,
+        data: quiz
+      });
+    }
+
+    const attempts = await QuizAttempt.find({ quiz: quiz._id, user: req.user._id })
+      .sort({ attemptNumber: 1 });
+    const submitted = attempts.filter(attempt => attempt.status !== 'in_progress');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: quiz._id,
+        title: quiz.title,
+        instructions: quiz.instructions,
+        timeLimitMinutes: quiz.timeLimitMinutes,
+        maxAttempts: quiz.maxAttempts,
+        passPercentage: quiz.passPercentage,
+        questionCount: quiz.questions.length,
+        totalPoints: quiz.questions.reduce((total, question) => total + question.points, 0),
+        attemptsUsed: attempts.length,
+        attemptsRemaining: quiz.maxAttempts ? Math.max(quiz.maxAttempts - attempts.length, 0) : null,
+        bestPercentage: submitted.length ? Math.max(...submitted.map(attempt => attempt.percentage || 0)) : null,
+        passed: submitted.some(attempt => attempt.passed),
+        attempts: attempts.map(summarizeAttempt)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching quiz');
+  }
+};
+
+// @desc    Start a quiz attempt (or resume the one in progress)
+// @route   POST /api/courses/:id/lessons/:lessonId/quiz/attempts
+// @access  Private/Student (enrolled)
+export const startQuizAttempt = async (req, res) => {
+  try {
+    const { course, lesson } = await loadQuizLesson(req);
+    const quiz = await loadQuiz(course, lesson);
+
+    let attempt = await QuizAttempt.findOne({ quiz: quiz._id, user: req.user._id, status: 'in_progress' });
+    if (attempt && isPastDeadline(attempt)) {
+      await expireAttempt(attempt, quiz);
+      attempt = null;
+    }
+
+    const resumed = Boolean(attempt);
+    if (!attempt) {
+      const attemptsUsed = await QuizAttempt.countDocuments({ quiz: quiz._id, user: req.user._id });
+      if (quiz.maxAttempts && attemptsUsed >= quiz.maxAttempts) {
+        return res.status(403).json({
+          success: false,
+          message: 'You have used all attempts for this quiz'
+        });
+      }
+
+      const questions = quiz.questions.map(question => question.toObject());
+      const startedAt = new Date();
+      attempt = await QuizAttempt.create({
+        quiz: quiz._id,
+        course: course._id,
+        lessonId: lesson._id,
+        user: req.user._id,
+        attemptNumber: attemptsUsed + 1,
+        questions: quiz.shuffleQuestions ? shuffle(questions) : questions,
+        startedAt,
+        expiresAt: quiz.timeLimitMinutes
+          ? new Date(startedAt.getTime() + quiz.timeLimitMinutes * 60 * 1000)
+          : undefined
+      });
+    }
+
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      message: resumed ? 'Resumed quiz attempt' : 'Quiz attempt started',
+      data: {
+        attempt: summarizeAttempt(attempt),
+        questions: getAttemptQuestions(quiz, attempt).map(toStudentQuestion)
+      }
+    });
+  } catch (error) {
+    // Two starts racing for the same attempt number
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A quiz attempt is already being started, please try again'
+      });
+    }
+    sendError(res, error, 'Error starting quiz attempt');
+  }
+};
+
+// @desc    Submit answers for a quiz attempt
+// @route   POST /api/courses/:id/lessons/:lessonId/quiz/attempts/:attemptId/submit
+// @access  Private/Student (own attempt)
+export const submitQuizAttempt = async (req, res) => {
+  try {
+    const { course, lesson } = await loadQuizLesson(req);
+    const quiz = await loadQuiz(course, lesson);
+
+    const attempt = await QuizAttempt.findOne({ _id: req.params.attemptId, quiz: quiz._id, user: req.user._id });
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz attempt not found'
+      });
+    }
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'This attempt has already been submitted'
+      });
+    }
+
+    if (isPastDeadline(attempt)) {
+      const expired = await expireAttempt(attempt, quiz);
+      return res.status(400).json({
+        success: false,
+        message: 'The time limit for this attempt has passed',
+        data: expired ? buildAttemptReview(quiz, expired) : undefined
+      });
+    }
+
+    validateSubmittedAnswers(req.body.answers);
+
+    const questions = getAttemptQuestions(quiz, attempt);
+    const { answers, needsReview } = gradeAnswers(questions, req.body.answers);
+
+    attempt.answers = answers;
+    attempt.submittedAt = new Date();
+    attempt.status = needsReview ? 'pending_review' : 'graded';
+    if (!needsReview) {
+      scoreAttempt(attempt, questions, quiz.passPercentage);
+    }
+
+    // Only the first submission counts
+    const submitted = await QuizAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: 'in_progress' },
+      {
+        $set: {
+          answers: attempt.answers,
+          submittedAt: attempt.submittedAt,
+          status: attempt.status,
+          score: attempt.score,
+          maxScore: attempt.maxScore,
+          percentage: attempt.percentage,
+          passed: attempt.passed
+        }
+      },
+      { new: true }
+    );
+    if (!submitted) {
+      return res.status(400).json({
+        success: false,
+        message: 'This attempt has already been submitted'
+      });
+    }
+
+    let progress = null;
+    if (submitted.passed) {
+      progress = await setLessonCompletion(req.user._id, course, lesson._id, true);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: needsReview
+        ? 'Quiz submitted; some answers are awaiting review'
+        : (submitted.passed ? 'Quiz passed' : 'Quiz submitted'),
+      data: {
+        attempt: buildAttemptReview(quiz, submitted),
+        certificate: progress?.certificate || null
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error submitting quiz attempt');
+  }
+};
+
+// @desc    List quiz attempts (own for students, all for the author and admins)
+// @route   GET /api/courses/:id/lessons/:lessonId/quiz/attempts
+// @access  Private (enrolled students, the author or admins)
+export const getQuizAttempts = async (req, res) => {
+  try {
+    const { course, lesson, isManager } = await loadQuizLesson(req);
+    const quiz = await loadQuiz(course, lesson);
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { quiz: quiz._id };
+    if (!isManager) {
+      query.user = req.user._id;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [attempts, total] = await Promise.all([
+      QuizAttempt.find(query)
+        .populate('user', 'name email')
+        .select('-answers -questions -questionOrder')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      QuizAttempt.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        attempts,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching quiz attempts');
+  }
+};
+
+// @desc    Get a quiz attempt (correct answers once submitted)
+// @route   GET /api/courses/:id/lessons/:lessonId/quiz/attempts/:attemptId
+// @access  Private (attempt owner, the author or admins)
+export const getQuizAttempt = async (req, res) => {
+  try {
+    const { course, lesson, isManager } = await loadQuizLesson(req);
+    const quiz = await loadQuiz(course, lesson);
+
+    const query = { _id: req.params.attemptId, quiz: quiz._id };
+    if (!isManager) {
+      query.user = req.user._id;
+    }
+    let attempt = await QuizAttempt.findOne(query).populate('user', 'name email');
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz attempt not found'
+      });
+    }
+
+    if (attempt.status === 'in_progress' && isPastDeadline(attempt)) {
+      attempt = await expireAttempt(attempt, quiz) || attempt;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: attempt.status === 'in_progress'
+        ? {
+            attempt: summarizeAttempt(attempt),
+            questions: getAttemptQuestions(quiz, attempt).map(toStudentQuestion)
+          }
+        : { attempt: buildAttemptReview(quiz, attempt) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching quiz attempt');
+  }
+};
+
+// @desc    Grade answers that need manual review
+// @route   PUT /api/courses/:id/lessons/:lessonId/quiz/attempts/:attemptId/review
+// @access  Private/Admin or Content Writer (own courses)
+export const reviewQuizAttempt = async (req, res) => {
+  try {
+    const { course, lesson } = await loadQuizLesson(req, { manage: true });
+    const quiz = await loadQuiz(course, lesson);
+
+    const attempt = await QuizAttempt.findOne({ _id: req.params.attemptId, quiz: quiz._id });
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz attempt not found'
+      });
+    }
+    if (!['pending_review', 'graded'].includes(attempt.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only submitted attempts can be reviewed'
+      });
+    }
+
+    const reviews = Array.isArray(req.body.answers) ? req.body.answers : [];
+    if (reviews.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the answers to grade'
+      });
+    }
+
+    const wasPassed = Boolean(attempt.passed);
+    const questions = getAttemptQuestions(quiz, attempt);
+    const questionsById = new Map(questions.map(question => [question._id.toString(), question]));
+
+    for (const review of reviews) {
+      const question = questionsById.get(String(review.questionId));
+      const answer = attempt.answers.find(item => item.questionId.toString() === String(review.questionId));
+      if (!question || !answer) {
+        return res.status(400).json({
+          success: false,
+          message: `Question ${review.questionId} is not part of this attempt`
+        });
+      }
+
+      const points = Number(review.pointsAwarded);
+      if (!Number.isFinite(points) || points < 0 || points > question.points) {
+        return res.status(400).json({
+          success: false,
+          message: `pointsAwarded must be between 0 and ${question.points}`
+        });
+      }
+
+      answer.pointsAwarded = points;
+      answer.isCorrect = typeof review.isCorrect === 'boolean' ? review.isCorrect : points === question.points;
+      if (review.feedback !== undefined) {
+        answer.feedback = review.feedback;
+      }
+    }
+
+    const stillPending = attempt.answers.some(answer => answer.pointsAwarded === undefined || answer.pointsAwarded === null);
+    attempt.status = stillPending ? 'pending_review' : 'graded';
+    if (!stillPending) {
+      scoreAttempt(attempt, questions, quiz.passPercentage);
+    }
+    attempt.reviewedBy = req.user._id;
+    attempt.reviewedAt = new Date();
+    await attempt.save();
+
+    if (attempt.passed) {
+      await setLessonCompletion(attempt.user, course, lesson._id, true);
+    } else if (wasPassed &&
+        !await QuizAttempt.exists({ _id: { $ne: attempt._id }, quiz: quiz._id, user: attempt.user, passed: true })) {
+      // The re-grade took away the only pass, so the lesson is no longer complete
+      await setLessonCompletion(attempt.user, course, lesson._id, false);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: stillPending ? 'Review saved; some answers still need grading' : 'Attempt graded',
+      data: buildAttemptReview(quiz, attempt)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error reviewing quiz attempt');
+  }
+};
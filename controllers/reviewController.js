@@ -0,0 +1,393 @@
+import Course from '../models/Course.js';
+import Review, { REVIEW_REPORT_REASONS } from '../models/Review.js';
+import { getActiveEnrollment, canManageCourse } from '../utils/courseAccess.js';
+import { recomputeCourseRating, getRatingDistribution } from '../utils/courseRatings.js';
+
+const REVIEW_SORTS = {
+  recent: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+const MAX_PAGE_SIZE = 100;
+
+// Page and page size from the query string, clamped to positive integers
+const readPagination = ({ page, limit }, defaultLimit) => {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || defaultLimit, 1), MAX_PAGE_SIZE);
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+// Fields other users never see
+const PRIVATE_REVIEW_FIELDS = '-reports -moderatedBy -moderationNote';
+
+// @desc    Get published reviews for a course
+// @route   GET /api/courses/:id/reviews
+// @access  Public
+export const getCourseReviews = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('rating reviewCount isPublished isActive createdBy');
+
+    if (!course || ((!course.isPublished || !course.isActive) && !canManageCourse(req.user, course))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const { sort = 'recent' } = req.query;
+    const { pageNum, limitNum, skip } = readPagination(req.query, 10);
+    const query = { course: course._id, status: 'published' };
+
+    const [reviews, total, distribution, myReview] = await Promise.all([
+      Review.find(query)
+        .select(PRIVATE_REVIEW_FIELDS)
+        .sort(REVIEW_SORTS[sort] || REVIEW_SORTS.recent)
+        .skip(skip)
+        .limit(limitNum),
+      Review.countDocuments(query),
+      getRatingDistribution(course._id),
+      req.user
+        ? Review.findOne({ course: course._id, user: req.user._id }).select('-reports')
+        : null
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rating: course.rating,
+        reviewCount: course.reviewCount,
+        distribution,
+        myReview,
+        reviews,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Review a course
+// @route   POST /api/courses/:id/reviews
+// @access  Private/Student (enrolled)
+export const createReview = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('_id');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!getActiveEnrollment(req.user, course._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only students enrolled in this course can review it'
+      });
+    }
+
+    const review = await Review.create({
+      course: course._id,
+      user: req.user._id,
+      userName: req.user.name,
+      rating: req.body.rating,
+      comment: req.body.comment
+    });
+
+    await recomputeCourseRating(course._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review posted successfully',
+      data: review
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this course'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error posting review',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Edit own review
+// @route   PUT /api/courses/:id/reviews/:reviewId
+// @access  Private (review author)
+export const updateReview = async (req, res) => {
+  try {
+    const updates = { editedAt: new Date() };
+    if (req.body.rating !== undefined) {
+      updates.rating = req.body.rating;
+    }
+    if (req.body.comment !== undefined) {
+      updates.comment = req.body.comment;
+    }
+
+    // The previous version tells us whether the rating changed
+    const previous = await Review.findOneAndUpdate(
+      { _id: req.params.reviewId, course: req.params.id, user: req.user._id },
+      { $set: updates },
+      { new: false, runValidators: true }
+    );
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (previous.status === 'published' && updates.rating !== undefined && updates.rating !== previous.rating) {
+      await recomputeCourseRating(previous.course);
+    }
+
+    const review = await Review.findById(previous._id).select('-reports');
+
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating review',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a review
+// @route   DELETE /api/courses/:id/reviews/:reviewId
+// @access  Private (review author or content admins)
+export const deleteReview = async (req, res) => {
+  try {
+    const query = { _id: req.params.reviewId, course: req.params.id };
+    if (!req.user.hasPermission('manage_content')) {
+      query.user = req.user._id;
+    }
+
+    const review = await Review.findOneAndDelete(query);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.status === 'published') {
+      await recomputeCourseRating(review.course);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting review',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Report a review for moderation
+// @route   POST /api/courses/:id/reviews/:reviewId/report
+// @access  Private
+export const reportReview = async (req, res) => {
+  try {
+    const { reason, details } = req.body;
+
+    if (!REVIEW_REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${REVIEW_REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    const result = await Review.updateOne(
+      {
+        _id: req.params.reviewId,
+        course: req.params.id,
+        status: 'published',
+        user: { $ne: req.user._id },
+        'reports.user': { $ne: req.user._id }
+      },
+      {
+        $push: { reports: { user: req.user._id, reason, details, reportedAt: new Date() } },
+        $inc: { reportCount: 1 }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      const review = await Review.findOne({ _id: req.params.reviewId, course: req.params.id, status: 'published' });
+
+      if (!review) {
+        return res.status(404).json({
+          success: false,
+          message: 'Review not found'
+        });
+      }
+      if (review.user.toString() === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot report your own review'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Review reported. Our team will look into it.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error reporting review',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get reported or hidden reviews
+// @route   GET /api/admin/reviews
+// @access  Private/Admin (manage_content)
+export const getReviewsForModeration = async (req, res) => {
+  try {
+    const { status, course } = req.query;
+    const { pageNum, limitNum, skip } = readPagination(req.query, 20);
+
+    // Defaults to the moderation queue: published reviews with open reports
+    const query = status === 'hidden'
+      ? { status: 'hidden' }
+      : { status: 'published', reportCount: { $gt: 0 } };
+    if (course) {
+      query.course = course;
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .populate('course', 'title')
+        .populate('user', 'name email')
+        .populate('reports.user', 'name email')
+        .populate('moderatedBy', 'name')
+        .sort({ reportCount: -1, updatedAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Review.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Hide, restore or dismiss reports on a review
+// @route   PUT /api/admin/reviews/:id/moderate
+// @access  Private/Admin (manage_content)
+export const moderateReview = async (req, res) => {
+  try {
+    const { action, note } = req.body;
+    const moderation = { moderatedBy: req.user._id, moderatedAt: new Date(), moderationNote: note };
+
+    let filter;
+    let update;
+    if (action === 'hide') {
+      filter = { _id: req.params.id, status: 'published' };
+      update = { $set: { ...moderation, status: 'hidden' } };
+    } else if (action === 'restore') {
+      filter = { _id: req.params.id, status: 'hidden' };
+      update = { $set: { ...moderation, status: 'published', reports: [], reportCount: 0 } };
+    } else if (action === 'dismiss') {
+      filter = { _id: req.params.id, status: 'published' };
+      update = { $set: { ...moderation, reports: [], reportCount: 0 } };
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be one of: hide, restore, dismiss'
+      });
+    }
+
+    const review = await Review.findOneAndUpdate(filter, update, { new: true });
+
+    if (!review) {
+      const exists = await Review.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? `Review is already ${action === 'restore' ? 'published' : 'hidden'}` : 'Review not found'
+      });
+    }
+
+    if (action !== 'dismiss') {
+      await recomputeCourseRating(review.course);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: {
+        hide: 'Review hidden',
+        restore: 'Review restored',
+        dismiss: 'Reports dismissed'
+      }[action],
+      data: review
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error moderating review',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,235 @@
+import QRCode from 'qrcode';
+import User from '../models/User.js';
+import { generateTotpSecret, verifyTotp, buildOtpAuthUrl } from '../utils/totp.js';
+import { generateBackupCodes, isTwoFactorRequired, verifySecondFactor } from '../utils/twoFactor.js';
+
+// @desc    Get two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.backupCodes');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt,
+        required: isTwoFactorRequired(user.role),
+        backupCodesRemaining: user.twoFactor?.backupCodes?.length || 0
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor status',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start 2FA enrolment: generate a secret and QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateTotpSecret();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    const otpauthUrl = buildOtpAuthUrl({
+      secret,
+      accountName: req.user.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Kiwise EduTech'
+    });
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm enrolment with a code and enable 2FA
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first'
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.backupCodes': hashes,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.enabledAt': new Date()
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again',
+      data: {
+        backupCodes: codes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Disable 2FA (requires password and a code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isTwoFactorRequired(req.user.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for your role and cannot be disabled'
+      });
+    }
+
+    if (!password || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password and an authentication code or backup code'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!(await user.comparePassword(password)) || !(await verifySecondFactor(user._id, { code, backupCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.backupCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1
+        }
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace backup codes (requires a current authenticator code)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(req.user._id, { code }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.backupCodes': hashes } });
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous backup codes no longer work',
+      data: {
+        backupCodes: codes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error generating backup codes',
+      error: error.message
+    });
+  }
+};
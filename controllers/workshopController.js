@@ -1,4 +1,37 @@
+import mongoose from 'mongoose';
 import Workshop from '../models/Workshop.js';
+import Payment from '../models/Payment.js';
+import {
+  ACTIVE_REGISTRATION_STATUSES,
+  reserveSeat,
+  promoteWaitlist,
+  confirmPaidRegistration,
+  cancelRegistration
+} from '../utils/workshopRegistration.js';
+
+const findActiveRegistration = (workshop, userId) =>
+  workshop.registrations.find(
+    reg => reg.user.toString() === userId.toString() && ACTIVE_REGISTRATION_STATUSES.includes(reg.status)
+  );
+
+const getWaitlistPosition = (workshop, userId) => {
+  const waitlist = workshop.registrations
+    .filter(reg => reg.status === 'waitlisted')
+    .sort((a, b) => a.registeredAt - b.registeredAt);
+  const index = waitlist.findIndex(reg => reg.user.toString() === userId.toString());
+  return index === -1 ? null : index + 1;
+};
+
+const buildRegistrationResponse = (workshop, userId) => {
+  const registration = findActiveRegistration(workshop, userId);
+  return {
+    registration,
+    waitlistPosition: registration && registration.status === 'waitlisted'
+      ? getWaitlistPosition(workshop, userId)
+      : null,
+    seatsRemaining: Math.max(0, workshop.maxParticipants - workshop.currentParticipants)
+  };
+};
 
 // @desc    Create a new workshop
 // @route   POST /api/workshops
@@ -117,6 +150,13 @@ export const updateWorkshop = async (req, res) => {
       'certificateIncluded', 'isActive'
     ];
 
+    if (req.body.maxParticipants !== undefined && req.body.maxParticipants < workshop.currentParticipants) {
+      return res.status(400).json({
+        success: false,
+        message: `maxParticipants cannot be lower than the ${workshop.currentParticipants} confirmed participants`
+      });
+    }
+
     allowedFields.forEach(field => {
       if (req.body[field] !== undefined) {
         workshop[field] = req.body[field];
@@ -125,6 +165,11 @@ export const updateWorkshop = async (req, res) => {
 
     await workshop.save();
 
+    // Extra seats go to the waitlist first
+    if (req.body.maxParticipants !== undefined) {
+      await promoteWaitlist(workshop._id);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Workshop updated successfully',
@@ -214,6 +259,7 @@ export const getAllWorkshops = async (req, res) => {
     }
 
     const workshops = await Workshop.find(query)
+      .select('-registrations')
       .populate('createdBy', 'name email')
       .sort({ 'schedule.startDate': 1 })
       .skip(skip)
@@ -248,6 +294,7 @@ export const getAllWorkshops = async (req, res) => {
 export const getWorkshopById = async (req, res) => {
   try {
     const workshop = await Workshop.findById(req.params.id)
+      .select('-registrations')
       .populate('createdBy', 'name email');
 
     if (!workshop) {
@@ -318,3 +365,236 @@ export const publishWorkshop = async (req, res) => {
   }
 };
 
+
+// @desc    Register for a workshop
+// @route   POST /api/workshops/:id/register
+// @access  Private/Student
+export const registerForWorkshop = async (req, res) => {
+  try {
+    const { paymentId } = req.body;
+
+    const workshop = await Workshop.findById(req.params.id);
+
+    if (!workshop || !workshop.isPublished || !workshop.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workshop not found'
+      });
+    }
+
+    if (workshop.schedule.startDate < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration is closed as this workshop has already started'
+      });
+    }
+
+    const existing = findActiveRegistration(workshop, req.user._id);
+
+    // A pending paid registration may be retried once its payment completes
+    if (existing && existing.status !== 'pending_payment') {
+      return res.status(400).json({
+        success: false,
+        message: `You are already registered for this workshop (${existing.status})`
+      });
+    }
+
+    if (workshop.price > 0) {
+      if (!paymentId) {
+        return res.status(400).json({
+          success: false,
+          message: 'This is a paid workshop. Please complete payment and provide the paymentId'
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid paymentId'
+        });
+      }
+
+      const payment = await Payment.findOne({
+        _id: paymentId,
+        user: req.user._id,
+        items: { $elemMatch: { itemType: 'workshop', itemId: workshop._id } }
+      });
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'No payment found for this workshop'
+        });
+      }
+
+      if (payment.paymentStatus === 'completed') {
+        const updated = await confirmPaidRegistration(workshop._id, req.user, payment._id);
+        const result = buildRegistrationResponse(updated, req.user._id);
+
+        return res.status(201).json({
+          success: true,
+          message: result.registration.status === 'confirmed'
+            ? 'Registration confirmed'
+            : 'Workshop is full. You have been added to the waitlist',
+          data: result
+        });
+      }
+
+      if (!['pending', 'processing'].includes(payment.paymentStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: `Payment is ${payment.paymentStatus}. Please complete a new payment to register`
+        });
+      }
+
+      if (!existing) {
+        workshop.registrations.push({
+          user: req.user._id,
+          userName: req.user.name,
+          userEmail: req.user.email,
+          status: 'pending_payment',
+          payment: payment._id,
+          registeredAt: new Date()
+        });
+        await workshop.save();
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: 'Registration recorded. Your seat will be confirmed once the payment is completed',
+        data: buildRegistrationResponse(workshop, req.user._id)
+      });
+    }
+
+    // Free workshop: join the waitlist, then immediately try to take a seat
+    const added = await Workshop.updateOne(
+      {
+        _id: workshop._id,
+        registrations: {
+          $not: { $elemMatch: { user: req.user._id, status: { $in: ACTIVE_REGISTRATION_STATUSES } } }
+        }
+      },
+      {
+        $push: {
+          registrations: {
+            user: req.user._id,
+            userName: req.user.name,
+            userEmail: req.user.email,
+            status: 'waitlisted',
+            registeredAt: new Date()
+          }
+        }
+      }
+    );
+
+    if (added.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already registered for this workshop'
+      });
+    }
+
+    const updated = (await reserveSeat(workshop._id, req.user._id)) || await Workshop.findById(workshop._id);
+    const result = buildRegistrationResponse(updated, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: result.registration.status === 'confirmed'
+        ? 'Registration confirmed'
+        : 'Workshop is full. You have been added to the waitlist',
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error registering for workshop',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel workshop registration
+// @route   DELETE /api/workshops/:id/register
+// @access  Private/Student
+export const cancelWorkshopRegistration = async (req, res) => {
+  try {
+    const workshop = await Workshop.findById(req.params.id).select('_id');
+
+    if (!workshop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workshop not found'
+      });
+    }
+
+    const previousStatus = await cancelRegistration(workshop._id, req.user._id);
+
+    if (!previousStatus) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not registered for this workshop'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: previousStatus === 'confirmed'
+        ? 'Registration cancelled and your seat has been released'
+        : 'Registration cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling workshop registration',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get workshop attendee roster
+// @route   GET /api/workshops/:id/attendees
+// @access  Private/Admin
+export const getWorkshopAttendees = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const workshop = await Workshop.findById(req.params.id)
+      .select('title maxParticipants currentParticipants registrations')
+      .populate('registrations.user', 'name email phone')
+      .populate('registrations.payment', 'orderId amount paymentStatus');
+
+    if (!workshop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workshop not found'
+      });
+    }
+
+    const attendees = workshop.registrations
+      .filter(reg => !status || reg.status === status)
+      .sort((a, b) => a.registeredAt - b.registeredAt);
+
+    const countByStatus = (value) => workshop.registrations.filter(reg => reg.status === value).length;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        attendees,
+        summary: {
+          maxParticipants: workshop.maxParticipants,
+          currentParticipants: workshop.currentParticipants,
+          confirmed: countByStatus('confirmed'),
+          waitlisted: countByStatus('waitlisted'),
+          pendingPayment: countByStatus('pending_payment'),
+          cancelled: countByStatus('cancelled')
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching workshop attendees',
+      error: error.message
+    });
+  }
+};
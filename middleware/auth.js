@@ -1,8 +1,11 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { isSessionActive } from '../utils/sessions.js';
+import { isTwoFactorRequired } from '../utils/twoFactor.js';
 
-// Protect routes - verify JWT token
-export const protect = async (req, res, next) => {
+// Verify the access token. With allowTwoFactorSetup, accounts whose role
+// requires 2FA but haven't enrolled yet are let through (to enrol or log out).
+const authenticate = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   try {
     let token;
 
@@ -39,6 +42,30 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      if (req.user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed recently. Please log in again'
+        });
+      }
+
+      // Access tokens are tied to a session that can be revoked (logout, reuse detection)
+      if (!(await isSessionActive(decoded.sid, req.user._id))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked. Please log in again'
+        });
+      }
+
+      if (!allowTwoFactorSetup && isTwoFactorRequired(req.user.role) && !req.user.twoFactor?.enabled) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for your account. Please set it up to continue',
+          twoFactorSetupRequired: true
+        });
+      }
+
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -55,6 +82,12 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// Protect routes - verify JWT token
+export const protect = authenticate();
+
+// Protect routes that must stay reachable before mandatory 2FA is set up
+export const protectAllowingTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
 // Role-based authorization
 export const authorize = (...roles) => {
   return (req, res, next) => {
@@ -76,6 +109,40 @@ export const authorize = (...roles) => {
   };
 };
 
+// Permission-based authorization for admins. Only admins are restricted here;
+// other roles are left to authorize() and the controllers' ownership checks.
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+
+    if (req.user.role === 'admin' && !req.user.hasPermission(...permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: `Missing admin permission. Required permissions: ${permissions.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+// Check if user is a super-admin
+export const isSuperAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin' || !req.user.adminDetails?.isSuperAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only super-admins can access this route'
+    });
+  }
+
+  next();
+};
+
 // Check if user is admin
 export const isAdmin = authorize('admin');
 
@@ -94,6 +161,24 @@ export const isContentWriter = authorize('content_writer');
 // Check if user is admin or content writer
 export const isAdminOrContentWriter = authorize('admin', 'content_writer');
 
+// Block unverified accounts from posting when their role is listed in
+// REQUIRE_EMAIL_VERIFICATION_FOR (comma separated, e.g. "employer,content_writer")
+export const requireVerifiedEmail = (req, res, next) => {
+  const roles = (process.env.REQUIRE_EMAIL_VERIFICATION_FOR || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+  if (req.user && roles.includes(req.user.role) && !req.user.isVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before posting'
+    });
+  }
+
+  next();
+};
+
 // Optional protect - attaches user if token exists, but doesn't fail if no token
 // Useful for endpoints that have different behavior based on authentication status
 export const optionalProtect = async (req, res, next) => {
@@ -118,8 +203,14 @@ export const optionalProtect = async (req, res, next) => {
       // Get user from token
       req.user = await User.findById(decoded.userId).select('-password');
       
-      // If user not found or inactive, set req.user to null but don't fail
-      if (!req.user || !req.user.isActive) {
+      // If user not found, inactive, the token predates a password change or its session
+      // was revoked, set req.user to null but don't fail
+      if (
+        !req.user ||
+        !req.user.isActive ||
+        req.user.changedPasswordAfter(decoded.iat) ||
+        !(await isSessionActive(decoded.sid, req.user._id))
+      ) {
         req.user = null;
       }
     } catch (error) {
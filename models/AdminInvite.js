@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import { ADMIN_PERMISSIONS } from './User.js';
+
+const adminInviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Please provide an email'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  name: String,
+  permissions: [{
+    type: String,
+    enum: ADMIN_PERMISSIONS
+  }],
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedAt: Date,
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+adminInviteSchema.index({ tokenHash: 1 });
+adminInviteSchema.index({ email: 1, createdAt: -1 });
+
+const AdminInvite = mongoose.model('AdminInvite', adminInviteSchema);
+
+export default AdminInvite;
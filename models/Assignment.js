@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+// Brief, due date and rubric for a curriculum lesson of type "assignment"
+const assignmentSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  lessonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  instructions: {
+    type: String,
+    required: [true, 'Please provide assignment instructions']
+  },
+  resources: [{
+    name: String,
+    url: String
+  }],
+  dueAt: Date,
+  allowLateSubmissions: {
+    type: Boolean,
+    default: true
+  },
+  // Deducted from the score of late submissions
+  latePenaltyPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // 0 means unlimited; resubmissions count towards it
+  maxSubmissions: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  allowResubmissionAfterGrading: {
+    type: Boolean,
+    default: false
+  },
+  // Without a rubric the grader awards up to maxScore directly
+  rubric: [{
+    criterion: {
+      type: String,
+      required: true
+    },
+    description: String,
+    maxPoints: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  maxScore: {
+    type: Number,
+    default: 100,
+    min: 0
+  },
+  passPercentage: {
+    type: Number,
+    default: 60,
+    min: 0,
+    max: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+assignmentSchema.index({ course: 1, lessonId: 1 }, { unique: true });
+
+// With a rubric the maximum score is the sum of its criteria
+assignmentSchema.pre('save', function(next) {
+  if (this.rubric.length > 0) {
+    this.maxScore = this.rubric.reduce((total, item) => total + item.maxPoints, 0);
+  }
+  next();
+});
+
+const Assignment = mongoose.model('Assignment', assignmentSchema);
+
+export default Assignment;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+const assignmentSubmissionSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  lessonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 1 for the first submission, 2 for the first resubmission, ...
+  submissionNumber: {
+    type: Number,
+    required: true
+  },
+  text: String,
+  attachments: [{
+    name: String,
+    url: {
+      type: String,
+      required: true
+    },
+    kind: {
+      type: String,
+      enum: ['file', 'link'],
+      default: 'link'
+    }
+  }],
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  // superseded: replaced by a resubmission
+  status: {
+    type: String,
+    enum: ['submitted', 'graded', 'superseded'],
+    default: 'submitted'
+  },
+  rubricScores: [{
+    criterionId: mongoose.Schema.Types.ObjectId,
+    criterion: String,
+    points: Number,
+    maxPoints: Number,
+    comment: String
+  }],
+  rawScore: Number,
+  latePenaltyPercent: Number,
+  score: Number,
+  maxScore: Number,
+  percentage: Number,
+  passed: Boolean,
+  feedback: String,
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  gradedAt: Date
+}, {
+  timestamps: true
+});
+
+assignmentSubmissionSchema.index({ assignment: 1, user: 1, submissionNumber: 1 }, { unique: true });
+assignmentSubmissionSchema.index({ course: 1, status: 1 });
+
+const AssignmentSubmission = mongoose.model('AssignmentSubmission', assignmentSubmissionSchema);
+
+export default AssignmentSubmission;
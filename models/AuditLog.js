@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Record of security-sensitive admin actions (who did what to whom)
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: [
+      'admin_bootstrapped',
+      'admin_invited',
+      'admin_invite_revoked',
+      'admin_created',
+      'admin_permissions_granted',
+      'admin_permissions_revoked',
+      'super_admin_granted',
+      'super_admin_revoked',
+      'login_lockout_cleared',
+      'account_deletion_requested',
+      'account_deleted'
+    ],
+    required: true
+  },
+  // Admin who performed the action; empty for the bootstrap script
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  targetEmail: String,
+  details: mongoose.Schema.Types.Mixed,
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
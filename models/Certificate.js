@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Course completion certificate. The verification code is an HMAC over the
+// certificate's details, so a record edited in the database stops verifying.
+const certificateSchema = new mongoose.Schema({
+  serialNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  verificationCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Snapshot of the details printed on the certificate
+  recipientName: {
+    type: String,
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  courseTitle: {
+    type: String,
+    required: true
+  },
+  instructor: String,
+  completedAt: {
+    type: Date,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One certificate per student per course
+certificateSchema.index({ user: 1, course: 1 }, { unique: true });
+
+const Certificate = mongoose.model('Certificate', certificateSchema);
+
+export default Certificate;
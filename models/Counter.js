@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// Named monotonically increasing sequences (e.g. invoice numbers)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Values handed out by allocate() that their owner hasn't recorded yet
+  pending: [{
+    _id: false,
+    owner: String,
+    seq: Number
+  }]
+});
+
+// Atomically increment and return the next value of a sequence
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Reserve the next value of a sequence for an owner (e.g. a payment) that
+// must use it without gaps. Asking again for the same owner returns the same
+// value until it is released, so an owner that failed to record its value
+// retries with it instead of taking a new one. Returns null if the owner's
+// value was released in the meantime, i.e. it has been recorded.
+counterSchema.statics.allocate = async function(name, owner) {
+  await this.updateOne({ _id: name }, { $setOnInsert: { seq: 0 } }, { upsert: true });
+
+  const counter = await this.findOneAndUpdate(
+    { _id: name, 'pending.owner': { $ne: owner } },
+    [
+      { $set: { seq: { $add: ['$seq', 1] } } },
+      { $set: { pending: { $concatArrays: [{ $ifNull: ['$pending', []] }, [{ owner, seq: '$seq' }]] } } }
+    ],
+    { new: true }
+  ) || await this.findById(name);
+
+  return counter.pending.find(entry => entry.owner === owner)?.seq ?? null;
+};
+
+// Forget an allocated value once its owner has recorded it
+counterSchema.statics.release = function(name, owner) {
+  return this.updateOne({ _id: name }, { $pull: { pending: { owner } } });
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please provide a coupon code'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: [true, 'Please provide a discount type']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Please provide a discount value'],
+    min: 0
+  },
+  // Upper bound on the discount for percentage coupons
+  maxDiscountAmount: {
+    type: Number,
+    min: 0
+  },
+  // Empty scope means the coupon applies to every item in the order
+  scope: {
+    itemTypes: [{
+      type: String,
+      enum: ['course', 'workshop']
+    }],
+    courses: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    }]
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: Date,
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  usageLimitPerUser: {
+    type: Number,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  // One entry per completed payment that used the coupon; the per-user cap counts these
+  redemptions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Note: code index is automatically created by unique: true
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
@@ -64,9 +64,19 @@ const courseSchema = new mongoose.Schema({
         default: 'video'
       },
       duration: String,
+      // Unlocked lessons are free previews; locked ones need an enrollment
       isLocked: {
         type: Boolean,
-        default: false
+        default: true
+      },
+      // Lesson payload, served only through GET /api/courses/:id/lessons/:lessonId
+      content: {
+        videoUrl: String,
+        body: String,
+        attachments: [{
+          name: String,
+          url: String
+        }]
       }
     }]
   }],
@@ -87,6 +97,11 @@ const courseSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Sum of published review ratings; rating = ratingTotal / reviewCount
+  ratingTotal: {
+    type: Number,
+    select: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -192,6 +207,7 @@ const courseSchema = new mongoose.Schema({
 
 // Index for search
 courseSchema.index({ title: 'text', description: 'text', tags: 'text' });
+courseSchema.index({ rating: -1, reviewCount: -1 });
 
 const Course = mongoose.model('Course', courseSchema);
 
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// One person behind several role accounts that share an email address
+// (e.g. a student who is also a content writer). User.identity points here.
+const identitySchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+identitySchema.index({ email: 1 });
+
+const Identity = mongoose.model('Identity', identitySchema);
+
+export default Identity;
@@ -40,7 +40,7 @@ const paymentSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'cancelled'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded', 'cancelled'],
     default: 'pending'
   },
   paymentGateway: {
@@ -69,8 +69,38 @@ const paymentSchema = new mongoose.Schema({
     price: {
       type: Number,
       required: true
+    },
+    lineTotal: Number,
+    discount: {
+      type: Number,
+      default: 0
     }
   }],
+  // Server-computed price breakdown for gateway orders
+  pricing: {
+    subtotal: Number,
+    discount: {
+      type: Number,
+      default: 0
+    },
+    total: Number,
+    computedAt: Date
+  },
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discountType: String,
+    discountValue: Number,
+    discountAmount: Number,
+    // Set once the coupon's usedCount has been incremented for this payment
+    usageCounted: {
+      type: Boolean,
+      default: false
+    }
+  },
   billingAddress: {
     name: String,
     email: String,
@@ -83,12 +113,51 @@ const paymentSchema = new mongoose.Schema({
   },
   receiptUrl: String,
   invoiceUrl: String,
+  invoiceNumber: String,
+  invoiceDate: Date,
+  // Total of all refunds that have not failed
   refundAmount: {
     type: Number,
     default: 0
   },
   refundReason: String,
   refundedAt: Date,
+  // Ledger of every refund issued against this payment
+  refunds: [{
+    refundId: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    reason: String,
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    failureReason: String,
+    processedAt: Date,
+    creditNoteNumber: String,
+    creditNoteDate: Date,
+    creditNoteUrl: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Whether the purchased items have been granted to the user
+  fulfillmentStatus: {
+    type: String,
+    enum: ['pending', 'processing', 'fulfilled', 'failed', 'revoked'],
+    default: 'pending'
+  },
+  fulfilledAt: Date,
+  revokedAt: Date,
   notes: String,
   metadata: mongoose.Schema.Types.Mixed
 }, {
@@ -98,6 +167,7 @@ const paymentSchema = new mongoose.Schema({
 // Indexes
 paymentSchema.index({ user: 1, createdAt: -1 });
 // Note: orderId and transactionId indexes are automatically created by unique: true
+paymentSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
 paymentSchema.index({ paymentStatus: 1 });
 
 const Payment = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+export const QUESTION_TYPES = ['single_choice', 'multiple_choice', 'true_false', 'short_answer'];
+
+// A question as authored; attempts keep a copy of the questions they were given
+export const quizQuestionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true
+  },
+  prompt: {
+    type: String,
+    required: true
+  },
+  options: [String],
+  // Choice questions: indexes into options
+  correctOptions: [Number],
+  // True/false questions
+  correctAnswer: Boolean,
+  // Short answer questions: matched case-insensitively; none means manual review
+  acceptedAnswers: [String],
+  points: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  explanation: String
+});
+
+// Question bank for a curriculum lesson of type "quiz"
+const quizSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  lessonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  instructions: String,
+  // 0 means untimed
+  timeLimitMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // 0 means unlimited
+  maxAttempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  passPercentage: {
+    type: Number,
+    default: 60,
+    min: 0,
+    max: 100
+  },
+  shuffleQuestions: {
+    type: Boolean,
+    default: false
+  },
+  questions: [quizQuestionSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+quizSchema.index({ course: 1, lessonId: 1 }, { unique: true });
+
+const Quiz = mongoose.model('Quiz', quizSchema);
+
+export default Quiz;
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import { quizQuestionSchema } from './Quiz.js';
+
+const quizAttemptSchema = new mongoose.Schema({
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  lessonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  attemptNumber: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'pending_review', 'graded', 'expired'],
+    default: 'in_progress'
+  },
+  // The questions as they were when the attempt started, in the order they
+  // were presented; later edits to the quiz don't change what is graded
+  questions: [quizQuestionSchema],
+  // Attempts started before question snapshots only kept the order
+  questionOrder: [mongoose.Schema.Types.ObjectId],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: Date,
+  submittedAt: Date,
+  answers: [{
+    questionId: mongoose.Schema.Types.ObjectId,
+    selectedOptions: [Number],
+    booleanAnswer: Boolean,
+    textAnswer: String,
+    // null until graded (short answers without accepted answers wait for review)
+    isCorrect: Boolean,
+    pointsAwarded: Number,
+    feedback: String
+  }],
+  score: Number,
+  maxScore: Number,
+  percentage: Number,
+  passed: Boolean,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+quizAttemptSchema.index({ quiz: 1, user: 1, attemptNumber: 1 }, { unique: true });
+quizAttemptSchema.index({ course: 1, lessonId: 1, status: 1 });
+
+const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
+
+export default QuizAttempt;
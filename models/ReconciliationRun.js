@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const reconciliationRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  olderThanMinutes: Number,
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: Date,
+  checked: {
+    type: Number,
+    default: 0
+  },
+  changes: [{
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    orderId: String,
+    from: String,
+    to: String,
+    reason: String
+  }],
+  failures: [{
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    orderId: String,
+    error: String
+  }]
+}, {
+  timestamps: true
+});
+
+reconciliationRunSchema.index({ startedAt: -1 });
+
+const ReconciliationRun = mongoose.model('ReconciliationRun', reconciliationRunSchema);
+
+export default ReconciliationRun;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+export const REVIEW_REPORT_REASONS = ['spam', 'abusive', 'off_topic', 'other'];
+
+// A student's rating of a course they are enrolled in (one per course)
+const reviewSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userName: {
+    type: String,
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please provide a rating'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  comment: {
+    type: String,
+    required: [true, 'Please provide a review'],
+    trim: true,
+    maxlength: [2000, 'Review cannot be more than 2000 characters']
+  },
+  // Hidden reviews are removed from the course rating
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  reports: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      enum: REVIEW_REPORT_REASONS
+    },
+    details: String,
+    reportedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationNote: String,
+  editedAt: Date
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ course: 1, user: 1 }, { unique: true });
+reviewSchema.index({ course: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ reportCount: -1, status: 1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// A login session. Each session is one refresh token family: the refresh
+// token rotates on every use and previously used tokens are remembered so
+// that replaying one revokes the whole session.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousRefreshTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked_by_user', 'token_reuse', 'password_reset', 'password_changed', 'account_deactivated', 'account_deleted']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHashes: 1 });
+// Remove sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -1,5 +1,21 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+
+export const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+export const RESET_PASSWORD_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+export const ADMIN_PERMISSIONS = [
+  'manage_users',
+  'manage_courses',
+  'manage_content',
+  'manage_blogs',
+  'manage_internships',
+  'view_analytics',
+  'manage_settings',
+  'manage_payments',
+  'manage_workshops'
+];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -38,6 +54,11 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Links this account to the other role accounts of the same person
+  identity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Identity'
+  },
   // Student specific fields
   studentDetails: {
     collegeName: String,
@@ -63,7 +84,16 @@ const userSchema = new mongoose.Schema({
         type: String,
         enum: ['enrolled', 'in_progress', 'completed', 'dropped'],
         default: 'enrolled'
-      }
+      },
+      // Per-lesson progress; `progress` above is derived from it
+      lessonProgress: [{
+        lessonId: mongoose.Schema.Types.ObjectId,
+        lastAccessedAt: Date,
+        completedAt: Date
+      }],
+      lastAccessedLessonId: mongoose.Schema.Types.ObjectId,
+      lastAccessedAt: Date,
+      completedAt: Date
     }],
     internships: [{
       internshipId: mongoose.Schema.Types.ObjectId,
@@ -197,24 +227,92 @@ const userSchema = new mongoose.Schema({
   adminDetails: {
     permissions: [{
       type: String,
-      enum: ['manage_users', 'manage_courses', 'manage_content', 'manage_blogs', 'manage_internships', 'view_analytics', 'manage_settings']
+      enum: ADMIN_PERMISSIONS
     }],
+    // Super-admins hold every permission and manage other admins
+    isSuperAdmin: {
+      type: Boolean,
+      default: false
+    },
     lastLogin: Date
   },
   avatar: {
     type: String,
     default: ''
   },
-  resetPasswordToken: String,
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
   resetPasswordExpire: Date,
-  verificationToken: String,
-  verificationExpire: Date
+  // JWTs issued before this moment are rejected
+  passwordChangedAt: Date,
+  verificationToken: {
+    type: String,
+    select: false
+  },
+  verificationExpire: Date,
+  // Requested new email address, applied once the link sent to it is opened
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  emailChangeToken: {
+    type: String,
+    select: false
+  },
+  emailChangeExpire: Date,
+  // Brute-force protection: failed logins since the last success or lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  // Number of lockouts in a row; each one doubles the next lockout duration
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // Account deletion: requested accounts are anonymized once the grace period ends
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  deletedAt: Date,
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated by setup, promoted to `secret` once a code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Hashes of the unused single-use backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed within its window
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  }
 }, {
   timestamps: true
 });
 
 // Compound unique index: same email can exist for different roles
 userSchema.index({ email: 1, role: 1 }, { unique: true });
+userSchema.index({ identity: 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -231,6 +329,63 @@ userSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Hash an emailed token for storage and lookup; only the hash is kept in the database
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate an email verification token, storing its hash and expiry.
+// Returns the raw token to be emailed to the user.
+userSchema.methods.createVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.verificationToken = this.constructor.hashToken(token);
+  this.verificationExpire = new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS);
+  return token;
+};
+
+// Generate a password reset token, storing its hash and expiry.
+// Returns the raw token to be emailed to the user.
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = this.constructor.hashToken(token);
+  this.resetPasswordExpire = new Date(Date.now() + RESET_PASSWORD_TOKEN_TTL_MS);
+  return token;
+};
+
+// Generate a token confirming a change of email address, storing its hash,
+// the new address and the expiry. Returns the raw token to be emailed.
+userSchema.methods.createEmailChangeToken = function(newEmail) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = this.constructor.hashToken(token);
+  this.emailChangeExpire = new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS);
+  return token;
+};
+
+// Check whether the password changed after a JWT was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return tokenIssuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Check whether the account is temporarily locked after repeated failed logins
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Check whether an admin holds all of the given permissions
+userSchema.methods.hasPermission = function(...permissions) {
+  if (this.role !== 'admin' || !this.adminDetails) {
+    return false;
+  }
+  if (this.adminDetails.isSuperAdmin) {
+    return true;
+  }
+  return permissions.every(permission => this.adminDetails.permissions.includes(permission));
+};
+
 // Get user role description
 userSchema.methods.getRoleDescription = function() {
   const roleDescriptions = {
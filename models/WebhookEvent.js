@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  gateway: {
+    type: String,
+    enum: ['razorpay'],
+    default: 'razorpay'
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  // Human readable result of the last processing attempt
+  outcome: String,
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: Date,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Note: eventId index is automatically created by unique: true
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
@@ -88,6 +88,30 @@ const workshopSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  registrations: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    userName: String,
+    userEmail: String,
+    status: {
+      type: String,
+      enum: ['pending_payment', 'waitlisted', 'confirmed', 'cancelled'],
+      default: 'waitlisted'
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    registeredAt: {
+      type: Date,
+      default: Date.now
+    },
+    confirmedAt: Date,
+    cancelledAt: Date
+  }],
   learningOutcomes: [String],
   prerequisites: [String],
   tags: [String],
@@ -18,9 +18,39 @@ import {
   reviewSubmission,
   approveInternship,
   getAllInternshipsAdmin,
-  getInternshipByIdAdmin
+  getInternshipByIdAdmin,
+  getAccountLockouts,
+  clearAccountLockout
 } from '../controllers/adminController.js';
-import { protect, isAdmin } from '../middleware/auth.js';
+import {
+  createCoupon,
+  getAllCoupons,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon
+} from '../controllers/couponController.js';
+import {
+  getReviewsForModeration,
+  moderateReview
+} from '../controllers/reviewController.js';
+import {
+  createAdminInvite,
+  getAdminInvites,
+  revokeAdminInvite
+} from '../controllers/adminInviteController.js';
+import {
+  getAdmins,
+  grantAdminPermissions,
+  revokeAdminPermission,
+  updateSuperAdmin
+} from '../controllers/adminPermissionController.js';
+import {
+  getWebhookEvents,
+  reprocessWebhookEvent,
+  runPaymentReconciliation,
+  getReconciliationRuns
+} from '../controllers/paymentController.js';
+import { protect, isAdmin, isSuperAdmin, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -28,39 +58,73 @@ const router = express.Router();
 router.use(protect, isAdmin);
 
 // Dashboard
-router.get('/dashboard', getDashboardStats);
+router.get('/dashboard', requirePermission('view_analytics'), getDashboardStats);
 
 // Student Management
-router.get('/students', getAllStudents);
-router.get('/students/export', exportStudentsData);
-router.get('/students/:id', getStudentById);
-router.put('/students/:id', updateStudent);
+router.get('/students', requirePermission('manage_users'), getAllStudents);
+router.get('/students/export', requirePermission('manage_users'), exportStudentsData);
+router.get('/students/:id', requirePermission('manage_users'), getStudentById);
+router.put('/students/:id', requirePermission('manage_users'), updateStudent);
+
+// Login Lockouts
+router.get('/lockouts', requirePermission('manage_users'), getAccountLockouts);
+router.delete('/lockouts/:userId', requirePermission('manage_users'), clearAccountLockout);
+
+// Admin Invitations - Super-admins only
+router.get('/invites', isSuperAdmin, getAdminInvites);
+router.post('/invites', isSuperAdmin, createAdminInvite);
+router.delete('/invites/:id', isSuperAdmin, revokeAdminInvite);
+
+// Admin Permissions - Super-admins only
+router.get('/admins', isSuperAdmin, getAdmins);
+router.post('/admins/:id/permissions', isSuperAdmin, grantAdminPermissions);
+router.delete('/admins/:id/permissions/:permission', isSuperAdmin, revokeAdminPermission);
+router.put('/admins/:id/super-admin', isSuperAdmin, updateSuperAdmin);
 
 // Employer Management
-router.get('/employers', getAllEmployers);
-router.get('/employers/:id', getEmployerById);
+router.get('/employers', requirePermission('manage_users'), getAllEmployers);
+router.get('/employers/:id', requirePermission('manage_users'), getEmployerById);
 
 // College Management
-router.get('/colleges', getAllColleges);
-router.get('/colleges/:id', getCollegeById);
-router.put('/colleges/:id/approve', approveCollege);
-router.put('/colleges/:id/partnership', updateCollegePartnership);
+router.get('/colleges', requirePermission('manage_users'), getAllColleges);
+router.get('/colleges/:id', requirePermission('manage_users'), getCollegeById);
+router.put('/colleges/:id/approve', requirePermission('manage_users'), approveCollege);
+router.put('/colleges/:id/partnership', requirePermission('manage_users'), updateCollegePartnership);
 
 // Internship Management
-router.get('/internships', getAllInternshipsAdmin);
-router.get('/internships/:id', getInternshipByIdAdmin);
-router.put('/internships/:id/approve', approveInternship);
+router.get('/internships', requirePermission('manage_internships'), getAllInternshipsAdmin);
+router.get('/internships/:id', requirePermission('manage_internships'), getInternshipByIdAdmin);
+router.put('/internships/:id/approve', requirePermission('manage_internships'), approveInternship);
 
 // Course Management
-router.get('/courses', getAllCourses);
+router.get('/courses', requirePermission('manage_courses'), getAllCourses);
 
 // Blog Management
-router.get('/blogs', getAllBlogs);
-router.put('/blogs/:id/approve', approveBlog);
+router.get('/blogs', requirePermission('manage_blogs'), getAllBlogs);
+router.put('/blogs/:id/approve', requirePermission('manage_blogs'), approveBlog);
 
 // Submission Management
-router.get('/submissions', getAllSubmissions);
-router.put('/submissions/:id/review', reviewSubmission);
+router.get('/submissions', requirePermission('manage_content'), getAllSubmissions);
+router.put('/submissions/:id/review', requirePermission('manage_content'), reviewSubmission);
+
+// Review Moderation
+router.get('/reviews', requirePermission('manage_content'), getReviewsForModeration);
+router.put('/reviews/:id/moderate', requirePermission('manage_content'), moderateReview);
+
+// Coupon Management
+router.get('/coupons', requirePermission('manage_payments'), getAllCoupons);
+router.post('/coupons', requirePermission('manage_payments'), createCoupon);
+router.get('/coupons/:id', requirePermission('manage_payments'), getCouponById);
+router.put('/coupons/:id', requirePermission('manage_payments'), updateCoupon);
+router.delete('/coupons/:id', requirePermission('manage_payments'), deleteCoupon);
+
+// Payment Webhook Events
+router.get('/webhook-events', requirePermission('manage_payments'), getWebhookEvents);
+router.post('/webhook-events/:id/reprocess', requirePermission('manage_payments'), reprocessWebhookEvent);
+
+// Payment Reconciliation
+router.post('/reconciliation/run', requirePermission('manage_payments'), runPaymentReconciliation);
+router.get('/reconciliation/runs', requirePermission('manage_payments'), getReconciliationRuns);
 
 export default router;
 
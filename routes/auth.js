@@ -3,19 +3,90 @@ import {
   register,
   login,
   getMe,
-  getRoles
+  getRoles,
+  sendVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  refreshTokens,
+  logout,
+  getMySessions,
+  revokeMySession,
+  verifyTwoFactorLogin
 } from '../controllers/authController.js';
-import { protect } from '../middleware/auth.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+} from '../controllers/twoFactorController.js';
+import {
+  updateMe,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  exportMyData,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} from '../controllers/profileController.js';
+import {
+  getMyRoles,
+  linkRoleAccount,
+  unlinkRoleAccount,
+  switchRole
+} from '../controllers/accountLinkController.js';
+import { acceptAdminInvite } from '../controllers/adminInviteController.js';
+import { protect, protectAllowingTwoFactorSetup } from '../middleware/auth.js';
+import { createRateLimiter } from '../utils/rateLimiter.js';
 
 const router = express.Router();
 
+// Per-IP limit on login attempts, on top of the per-account lockout
+const loginLimiter = createRateLimiter({
+  prefix: 'login',
+  windowMs: (parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 20,
+  message: 'Too many login attempts from this IP. Please try again later'
+});
+
 // Public routes
 router.post('/register', register);
-router.post('/login', login);
+router.post('/login', loginLimiter, login);
 router.get('/roles', getRoles);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/forgot-password', forgotPassword);
+router.put('/reset-password/:token', resetPassword);
+router.post('/refresh', refreshTokens);
+router.post('/2fa/verify', loginLimiter, verifyTwoFactorLogin);
+router.post('/admin-invite/:token/accept', acceptAdminInvite);
+router.get('/me/email/confirm/:token', confirmEmailChange);
 
 // Protected routes
-router.get('/me', protect, getMe);
+router.get('/me', protectAllowingTwoFactorSetup, getMe);
+router.put('/me', protect, updateMe);
+router.put('/me/password', protect, changePassword);
+router.put('/me/email', protect, requestEmailChange);
+router.get('/me/export', protect, exportMyData);
+router.post('/me/deletion', protect, requestAccountDeletion);
+router.delete('/me/deletion', protect, cancelAccountDeletion);
+router.post('/verify-email/send', protect, sendVerification);
+router.post('/logout', protectAllowingTwoFactorSetup, logout);
+router.get('/sessions', protect, getMySessions);
+router.delete('/sessions/:id', protect, revokeMySession);
+
+// Linked role accounts (same email, several roles)
+router.get('/my-roles', protect, getMyRoles);
+router.post('/my-roles/link', loginLimiter, protect, linkRoleAccount);
+router.delete('/my-roles/link', protect, unlinkRoleAccount);
+router.post('/switch-role', protect, switchRole);
+
+// Two-factor authentication (reachable before mandatory 2FA is set up)
+router.get('/2fa', protectAllowingTwoFactorSetup, getTwoFactorStatus);
+router.post('/2fa/setup', protectAllowingTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', protectAllowingTwoFactorSetup, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/backup-codes', protect, regenerateBackupCodes);
 
 export default router;
 
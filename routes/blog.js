@@ -8,7 +8,7 @@ import {
   getMyBlogs,
   submitBlogForReview
 } from '../controllers/blogController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, authorize, requirePermission, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -16,16 +16,16 @@ const router = express.Router();
 router.get('/', getAllBlogs);
 
 // Protected routes - Admin and Content Writers
-router.post('/', protect, authorize('admin', 'content_writer'), createBlog);
+router.post('/', protect, authorize('admin', 'content_writer'), requirePermission('manage_blogs'), requireVerifiedEmail, createBlog);
 
 // Specific routes before dynamic :id
-router.get('/my-posts/list', protect, authorize('admin', 'content_writer'), getMyBlogs);
-router.put('/:id/submit', protect, authorize('admin', 'content_writer'), submitBlogForReview);
+router.get('/my-posts/list', protect, authorize('admin', 'content_writer'), requirePermission('manage_blogs'), getMyBlogs);
+router.put('/:id/submit', protect, authorize('admin', 'content_writer'), requirePermission('manage_blogs'), requireVerifiedEmail, submitBlogForReview);
 
 // Dynamic routes
 router.get('/:id', getBlogById);
-router.put('/:id', protect, authorize('admin', 'content_writer'), updateBlog);
-router.delete('/:id', protect, authorize('admin', 'content_writer'), deleteBlog);
+router.put('/:id', protect, authorize('admin', 'content_writer'), requirePermission('manage_blogs'), updateBlog);
+router.delete('/:id', protect, authorize('admin', 'content_writer'), requirePermission('manage_blogs'), deleteBlog);
 
 export default router;
 
@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  verifyCertificate,
+  getMyCertificates,
+  downloadCertificate
+} from '../controllers/certificateController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/verify/:code', verifyCertificate);
+
+// Protected routes
+router.get('/my-certificates', protect, authorize('student'), getMyCertificates);
+router.get('/:id/download', protect, downloadCertificate);
+
+export default router;
@@ -8,9 +8,39 @@ import {
   getMyCourses,
   publishCourse,
   getCourseSyllabus,
-  updateCourseSyllabus
+  updateCourseSyllabus,
+  getLesson,
+  completeLesson,
+  uncompleteLesson,
+  getCourseProgress,
+  getContinueLesson,
+  getCourseGradebook
 } from '../controllers/courseController.js';
-import { protect, authorize, optionalProtect } from '../middleware/auth.js';
+import {
+  upsertQuiz,
+  getQuiz,
+  startQuizAttempt,
+  submitQuizAttempt,
+  getQuizAttempts,
+  getQuizAttempt,
+  reviewQuizAttempt
+} from '../controllers/quizController.js';
+import {
+  upsertAssignment,
+  getAssignment,
+  submitAssignment,
+  getAssignmentSubmissions,
+  getAssignmentSubmission,
+  gradeAssignmentSubmission
+} from '../controllers/assignmentController.js';
+import {
+  getCourseReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  reportReview
+} from '../controllers/reviewController.js';
+import { protect, authorize, requirePermission, optionalProtect, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -18,19 +48,53 @@ const router = express.Router();
 router.get('/', getAllCourses);
 
 // Protected routes - Admin and Content Writers  
-router.post('/', protect, authorize('admin', 'content_writer'), createCourse);
-router.get('/my-courses/list', protect, authorize('admin', 'content_writer'), getMyCourses);
+router.post('/', protect, authorize('admin', 'content_writer'), requirePermission('manage_courses'), requireVerifiedEmail, createCourse);
+router.get('/my-courses/list', protect, authorize('admin', 'content_writer'), requirePermission('manage_courses'), getMyCourses);
 
 // Specific routes before dynamic :id
-router.put('/:id/publish', protect, authorize('admin', 'content_writer'), publishCourse);
+router.put('/:id/publish', protect, authorize('admin', 'content_writer'), requirePermission('manage_courses'), requireVerifiedEmail, publishCourse);
 // Syllabus route uses optional auth to allow content writers to view their drafts while keeping it public for published courses
 router.get('/:id/syllabus', optionalProtect, getCourseSyllabus);
-router.put('/:id/syllabus', protect, authorize('admin', 'content_writer'), updateCourseSyllabus);
+// Lessons use optional auth: preview lessons are public, the rest need an enrollment
+router.get('/:id/lessons/:lessonId', optionalProtect, getLesson);
+
+// Lesson progress - Enrolled students
+router.post('/:id/lessons/:lessonId/complete', protect, authorize('student'), completeLesson);
+router.delete('/:id/lessons/:lessonId/complete', protect, authorize('student'), uncompleteLesson);
+router.get('/:id/progress', protect, authorize('student'), getCourseProgress);
+router.get('/:id/continue', protect, authorize('student'), getContinueLesson);
+
+// Quizzes - students take them, the author and admins manage them
+router.put('/:id/lessons/:lessonId/quiz', protect, authorize('admin', 'content_writer'), requirePermission('manage_courses'), upsertQuiz);
+router.get('/:id/lessons/:lessonId/quiz', protect, getQuiz);
+router.post('/:id/lessons/:lessonId/quiz/attempts', protect, authorize('student'), startQuizAttempt);
+router.get('/:id/lessons/:lessonId/quiz/attempts', protect, getQuizAttempts);
+router.get('/:id/lessons/:lessonId/quiz/attempts/:attemptId', protect, getQuizAttempt);
+router.post('/:id/lessons/:lessonId/quiz/attempts/:attemptId/submit', protect, authorize('student'), submitQuizAttempt);
+router.put('/:id/lessons/:lessonId/quiz/attempts/:attemptId/review', protect, authorize('admin', 'content_writer'), requirePermission('manage_courses'), reviewQuizAttempt);
+
+// Assignments - students submit work, the author and admins grade it
+router.put('/:id/lessons/:lessonId/assignment', protect, authorize('admin', 'content_writer'), requirePermission('manage_courses'), upsertAssignment);
+router.get('/:id/lessons/:lessonId/assignment', protect, getAssignment);
+router.post('/:id/lessons/:lessonId/assignment/submissions', protect, authorize('student'), submitAssignment);
+router.get('/:id/lessons/:lessonId/assignment/submissions', protect, getAssignmentSubmissions);
+router.get('/:id/lessons/:lessonId/assignment/submissions/:submissionId', protect, getAssignmentSubmission);
+router.put('/:id/lessons/:lessonId/assignment/submissions/:submissionId/grade', protect, authorize('admin', 'content_writer'), requirePermission('manage_courses'), gradeAssignmentSubmission);
+router.get('/:id/gradebook', protect, authorize('admin', 'content_writer'), requirePermission('manage_courses'), getCourseGradebook);
+
+// Reviews - public listing, enrolled students post one each
+router.get('/:id/reviews', optionalProtect, getCourseReviews);
+router.post('/:id/reviews', protect, authorize('student'), createReview);
+router.put('/:id/reviews/:reviewId', protect, updateReview);
+router.delete('/:id/reviews/:reviewId', protect, deleteReview);
+router.post('/:id/reviews/:reviewId/report', protect, reportReview);
+
+router.put('/:id/syllabus', protect, authorize('admin', 'content_writer'), requirePermission('manage_courses'), updateCourseSyllabus);
 
 // Dynamic routes
 router.get('/:id', getCourseById);
-router.put('/:id', protect, authorize('admin', 'content_writer'), updateCourse);
-router.delete('/:id', protect, authorize('admin', 'content_writer'), deleteCourse);
+router.put('/:id', protect, authorize('admin', 'content_writer'), requirePermission('manage_courses'), updateCourse);
+router.delete('/:id', protect, authorize('admin', 'content_writer'), requirePermission('manage_courses'), deleteCourse);
 
 export default router;
 
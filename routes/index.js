@@ -6,6 +6,7 @@ import blogRoutes from './blog.js';
 import internshipRoutes from './internship.js';
 import workshopRoutes from './workshop.js';
 import paymentRoutes from './payment.js';
+import certificateRoutes from './certificate.js';
 
 const router = express.Router();
 
@@ -26,6 +27,7 @@ router.use('/blogs', blogRoutes);
 router.use('/internships', internshipRoutes);
 router.use('/workshops', workshopRoutes);
 router.use('/payments', paymentRoutes);
+router.use('/certificates', certificateRoutes);
 
 export default router;
 
@@ -5,9 +5,13 @@ import {
   deleteInternship,
   getAllInternships,
   getInternshipById,
-  getMyInternships
+  getMyInternships,
+  applyToInternship,
+  withdrawApplication,
+  getInternshipApplications,
+  updateApplicationStatus
 } from '../controllers/internshipController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, authorize, requirePermission, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -17,15 +21,23 @@ router.get('/', getAllInternships);
 // Specific routes before dynamic :id
 router.get('/my-internships/list', protect, authorize('employer'), getMyInternships);
 
+// Student applications
+router.post('/:id/apply', protect, authorize('student'), applyToInternship);
+router.delete('/:id/apply', protect, authorize('student'), withdrawApplication);
+
+// Applicant management - Employer (own internships) or Admin
+router.get('/:id/applications', protect, authorize('employer', 'admin'), requirePermission('manage_internships'), getInternshipApplications);
+router.put('/:id/applications/:applicationId/status', protect, authorize('employer', 'admin'), requirePermission('manage_internships'), updateApplicationStatus);
+
 // Dynamic routes
 router.get('/:id', getInternshipById);
 
 // Protected routes - Employers
-router.post('/', protect, authorize('employer'), createInternship);
+router.post('/', protect, authorize('employer'), requireVerifiedEmail, createInternship);
 
 // Protected routes - Employer (own internships) or Admin
-router.put('/:id', protect, authorize('employer', 'admin'), updateInternship);
-router.delete('/:id', protect, authorize('employer', 'admin'), deleteInternship);
+router.put('/:id', protect, authorize('employer', 'admin'), requirePermission('manage_internships'), updateInternship);
+router.delete('/:id', protect, authorize('employer', 'admin'), requirePermission('manage_internships'), deleteInternship);
 
 export default router;
 
@@ -1,6 +1,5 @@
 import express from 'express';
 import {
-  createPayment,
   getAllPayments,
   getPaymentById,
   updatePaymentStatus,
@@ -8,9 +7,12 @@ import {
   getMyPayments,
   createRazorpayOrderHandler,
   verifyRazorpayPayment,
-  razorpayWebhook
+  razorpayWebhook,
+  getPaymentInvoice,
+  getPaymentCreditNote
 } from '../controllers/paymentController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { validateCoupon } from '../controllers/couponController.js';
+import { protect, authorize, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -19,14 +21,18 @@ router.post('/razorpay/create-order', protect, createRazorpayOrderHandler);
 router.post('/razorpay/verify', protect, verifyRazorpayPayment);
 router.post('/razorpay/webhook', razorpayWebhook); // Public route for Razorpay webhooks
 
-// Protected routes - All authenticated users
-router.post('/', protect, createPayment);
+// Coupons
+router.post('/coupons/validate', protect, validateCoupon);
 
 // Specific routes before dynamic :id
 router.get('/my-payments/list', protect, getMyPayments);
-router.get('/list', protect, authorize('admin'), getAllPayments);
-router.put('/:id/status', protect, authorize('admin'), updatePaymentStatus);
-router.put('/:id/refund', protect, authorize('admin'), processRefund);
+router.get('/list', protect, authorize('admin'), requirePermission('manage_payments'), getAllPayments);
+router.put('/:id/status', protect, authorize('admin'), requirePermission('manage_payments'), updatePaymentStatus);
+router.put('/:id/refund', protect, authorize('admin'), requirePermission('manage_payments'), processRefund);
+
+// Invoices and credit notes - Admin or Payment owner
+router.get('/:id/invoice', protect, getPaymentInvoice);
+router.get('/:id/credit-notes/:refundId', protect, getPaymentCreditNote);
 
 // Dynamic routes
 router.get('/:id', protect, getPaymentById);
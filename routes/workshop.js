@@ -5,9 +5,12 @@ import {
   deleteWorkshop,
   getAllWorkshops,
   getWorkshopById,
-  publishWorkshop
+  publishWorkshop,
+  registerForWorkshop,
+  cancelWorkshopRegistration,
+  getWorkshopAttendees
 } from '../controllers/workshopController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, authorize, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -15,15 +18,20 @@ const router = express.Router();
 router.get('/', getAllWorkshops);
 
 // Specific routes before dynamic :id
-router.put('/:id/publish', protect, authorize('admin'), publishWorkshop);
+router.put('/:id/publish', protect, authorize('admin'), requirePermission('manage_workshops'), publishWorkshop);
+router.get('/:id/attendees', protect, authorize('admin'), requirePermission('manage_workshops'), getWorkshopAttendees);
+
+// Registration - Students
+router.post('/:id/register', protect, authorize('student'), registerForWorkshop);
+router.delete('/:id/register', protect, authorize('student'), cancelWorkshopRegistration);
 
 // Dynamic routes
 router.get('/:id', getWorkshopById);
 
 // Protected routes - Admin only
-router.post('/', protect, authorize('admin'), createWorkshop);
-router.put('/:id', protect, authorize('admin'), updateWorkshop);
-router.delete('/:id', protect, authorize('admin'), deleteWorkshop);
+router.post('/', protect, authorize('admin'), requirePermission('manage_workshops'), createWorkshop);
+router.put('/:id', protect, authorize('admin'), requirePermission('manage_workshops'), updateWorkshop);
+router.delete('/:id', protect, authorize('admin'), requirePermission('manage_workshops'), deleteWorkshop);
 
 export default router;
 
@@ -0,0 +1,69 @@
+// Grant the permissions added after admins were first given granular
+// permissions (manage_payments, manage_workshops) to admins that predate them.
+// Those admins used to reach the payment and workshop routes through their
+// admin role alone and would otherwise lose access. Safe to run repeatedly.
+//
+// Usage: npm run backfill-admin-permissions -- --created-before 2026-10-01
+//   --created-before  only admins created before this date (the deploy date of
+//                     the permission change), so admins invited since keep the
+//                     permissions they were deliberately given
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import User from '../models/User.js';
+import { recordAudit } from '../utils/auditLog.js';
+
+const BACKFILLED_PERMISSIONS = ['manage_payments', 'manage_workshops'];
+
+const getArg = (argv, name) => {
+  const index = argv.indexOf(name);
+  return index === -1 ? undefined : argv[index + 1];
+};
+
+const backfillAdminPermissions = async () => {
+  const createdBefore = new Date(getArg(process.argv.slice(2), '--created-before'));
+
+  if (Number.isNaN(createdBefore.getTime())) {
+    console.error('Usage: npm run backfill-admin-permissions -- --created-before <YYYY-MM-DD>');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  try {
+    const admins = await User.find({
+      role: 'admin',
+      'adminDetails.isSuperAdmin': { $ne: true },
+      'adminDetails.permissions': { $not: { $all: BACKFILLED_PERMISSIONS } },
+      createdAt: { $lt: createdBefore }
+    }).select('email adminDetails.permissions');
+
+    for (const admin of admins) {
+      const granted = BACKFILLED_PERMISSIONS.filter(permission =>
+        !(admin.adminDetails?.permissions || []).includes(permission)
+      );
+
+      await User.updateOne(
+        { _id: admin._id },
+        { $addToSet: { 'adminDetails.permissions': { $each: granted } } }
+      );
+
+      await recordAudit({
+        action: 'admin_permissions_granted',
+        targetUser: admin._id,
+        targetEmail: admin.email,
+        details: { permissions: granted, source: 'scripts/backfillAdminPermissions.js' }
+      });
+
+      console.log(`✅ ${admin.email}: granted ${granted.join(', ')}`);
+    }
+
+    console.log(`Backfilled ${admins.length} admin(s)`);
+  } catch (error) {
+    console.error(`❌ Error backfilling admin permissions: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+backfillAdminPermissions();
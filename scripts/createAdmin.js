@@ -0,0 +1,68 @@
+// Bootstrap the first admin account. Refuses to run once any admin exists;
+// further admins must be invited from the admin panel.
+//
+// Usage: npm run create-admin -- --email admin@example.com --name "Site Admin" --password <password>
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import User, { ADMIN_PERMISSIONS } from '../models/User.js';
+import { recordAudit } from '../utils/auditLog.js';
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return args;
+};
+
+const createAdmin = async () => {
+  const { email, name, password, phone } = parseArgs(process.argv.slice(2));
+
+  if (!email || !name || !password) {
+    console.error('Usage: npm run create-admin -- --email <email> --name <name> --password <password>');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  try {
+    const adminCount = await User.countDocuments({ role: 'admin' });
+    if (adminCount > 0) {
+      console.error('❌ An admin account already exists. Invite new admins from the admin panel instead.');
+      process.exitCode = 1;
+      return;
+    }
+
+    const user = await User.create({
+      name,
+      email,
+      password,
+      phone,
+      role: 'admin',
+      isVerified: true,
+      adminDetails: {
+        permissions: ADMIN_PERMISSIONS,
+        isSuperAdmin: true
+      }
+    });
+
+    await recordAudit({
+      action: 'admin_bootstrapped',
+      targetUser: user._id,
+      targetEmail: user.email,
+      details: { permissions: ADMIN_PERMISSIONS, isSuperAdmin: true, source: 'scripts/createAdmin.js' }
+    });
+
+    console.log(`✅ Super-admin account created for ${user.email}`);
+  } catch (error) {
+    console.error(`❌ Error creating admin: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+createAdmin();
@@ -0,0 +1,75 @@
+// Lock the lessons of courses saved before lessons became locked by default.
+// Those lessons were stored with isLocked: false, which now means "free
+// preview", so their content would be served to anyone. Safe to run repeatedly.
+//
+// Usage: npm run lock-existing-lessons -- --created-before 2026-10-01 [--keep-first-lesson] [--dry-run]
+//   --created-before     only courses created before this date (the deploy date
+//                        of the change); newer courses already chose their previews
+//   --keep-first-lesson  leave each course's first lesson unlocked as its preview
+//   --dry-run            report what would change without writing
+//
+// Afterwards, authors unlock any further previews from the course editor.
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import Course from '../models/Course.js';
+
+const getArg = (argv, name) => {
+  const index = argv.indexOf(name);
+  return index === -1 ? undefined : argv[index + 1];
+};
+
+const lockExistingLessons = async () => {
+  const argv = process.argv.slice(2);
+  const createdBefore = new Date(getArg(argv, '--created-before'));
+  const keepFirstLesson = argv.includes('--keep-first-lesson');
+  const dryRun = argv.includes('--dry-run');
+
+  if (Number.isNaN(createdBefore.getTime())) {
+    console.error('Usage: npm run lock-existing-lessons -- --created-before <YYYY-MM-DD> [--keep-first-lesson] [--dry-run]');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  try {
+    const courses = await Course.find({
+      createdAt: { $lt: createdBefore },
+      'curriculum.lessons.isLocked': { $ne: true }
+    }).select('title curriculum._id curriculum.lessons._id curriculum.lessons.isLocked');
+
+    let lockedTotal = 0;
+
+    for (const course of courses) {
+      const lessons = course.curriculum.flatMap(section =>
+        section.lessons.map(lesson => ({ section, lesson }))
+      );
+      const toLock = lessons.filter(({ lesson }, index) =>
+        lesson.isLocked !== true && !(keepFirstLesson && index === 0)
+      );
+
+      if (toLock.length === 0) {
+        continue;
+      }
+
+      if (!dryRun) {
+        await Course.updateOne(
+          { _id: course._id },
+          { $set: { 'curriculum.$[].lessons.$[lesson].isLocked': true } },
+          { arrayFilters: [{ 'lesson._id': { $in: toLock.map(({ lesson }) => lesson._id) } }] }
+        );
+      }
+
+      lockedTotal += toLock.length;
+      console.log(`${dryRun ? 'Would lock' : '✅ Locked'} ${toLock.length} lesson(s) in "${course.title}"`);
+    }
+
+    console.log(`${dryRun ? 'Would lock' : 'Locked'} ${lockedTotal} lesson(s) across ${courses.length} course(s)`);
+  } catch (error) {
+    console.error(`❌ Error locking lessons: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+lockExistingLessons();
@@ -0,0 +1,61 @@
+// Promote an existing admin to super-admin. Refuses to run once a super-admin
+// exists; after that, super-admins are managed from the admin panel.
+//
+// Usage: npm run promote-super-admin -- --email admin@example.com
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import User from '../models/User.js';
+import { recordAudit } from '../utils/auditLog.js';
+
+const getEmailArg = (argv) => {
+  const index = argv.indexOf('--email');
+  return index === -1 ? undefined : argv[index + 1];
+};
+
+const promoteSuperAdmin = async () => {
+  const email = getEmailArg(process.argv.slice(2));
+
+  if (!email) {
+    console.error('Usage: npm run promote-super-admin -- --email <email>');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  try {
+    const superAdminCount = await User.countDocuments({ role: 'admin', 'adminDetails.isSuperAdmin': true });
+    if (superAdminCount > 0) {
+      console.error('❌ A super-admin already exists. Promote admins from the admin panel instead.');
+      process.exitCode = 1;
+      return;
+    }
+
+    const user = await User.findOneAndUpdate(
+      { email: email.trim().toLowerCase(), role: 'admin' },
+      { $set: { 'adminDetails.isSuperAdmin': true } },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`❌ No admin account found for ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await recordAudit({
+      action: 'super_admin_granted',
+      targetUser: user._id,
+      targetEmail: user.email,
+      details: { source: 'scripts/promoteSuperAdmin.js' }
+    });
+
+    console.log(`✅ ${user.email} is now a super-admin`);
+  } catch (error) {
+    console.error(`❌ Error promoting admin: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+promoteSuperAdmin();
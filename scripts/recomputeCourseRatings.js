@@ -0,0 +1,31 @@
+// Recompute every course's rating and review count from its published reviews.
+// Courses created before reviews existed carry a hand-set rating; this resets
+// those without reviews to 0 and repairs any rating that drifted from its
+// reviews. Safe to run repeatedly.
+//
+// Usage: npm run recompute-course-ratings
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import Course from '../models/Course.js';
+import { recomputeCourseRating } from '../utils/courseRatings.js';
+
+const recomputeCourseRatings = async () => {
+  await connectDB();
+
+  try {
+    const courses = await Course.find().select('_id');
+
+    for (const course of courses) {
+      await recomputeCourseRating(course._id);
+    }
+
+    console.log(`✅ Recomputed ratings for ${courses.length} course(s)`);
+  } catch (error) {
+    console.error(`❌ Error recomputing course ratings: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+recomputeCourseRatings();
@@ -3,6 +3,8 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import connectDB from './config/database.js';
 import routes from './routes/index.js';
+import { startPaymentReconciliation } from './utils/paymentReconciliation.js';
+import { startAccountDeletionJob } from './utils/accountData.js';
 
 // Load environment variables
 dotenv.config();
@@ -10,9 +12,20 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy, trust X-Forwarded-For so req.ip (used for rate limiting) is the client's
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number.isNaN(Number(process.env.TRUST_PROXY)) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY));
+}
+
 // Connect to MongoDB
 connectDB();
 
+// Settle payments left pending by abandoned checkouts or missed webhooks
+startPaymentReconciliation();
+
+// Anonymize accounts whose deletion grace period has ended
+startAccountDeletionJob();
+
 // Middleware
 app.use(cors());
 // Use express.raw() for webhook route (must be before express.json())
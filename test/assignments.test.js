@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { normalizeAttachments, getSubmissionBlocker, buildGrade } from '../utils/assignments.js';
+
+const criterion = (name, maxPoints) => ({ _id: new mongoose.Types.ObjectId(), criterion: name, maxPoints });
+
+const design = criterion('Design', 6);
+const tests = criterion('Tests', 4);
+const rubricAssignment = { rubric: [design, tests], maxScore: 10, passPercentage: 60, latePenaltyPercent: 20 };
+const plainAssignment = { rubric: [], maxScore: 50, passPercentage: 50, latePenaltyPercent: 10 };
+
+describe('buildGrade', () => {
+  it('totals the rubric scores', () => {
+    const grade = buildGrade(rubricAssignment, { isLate: false }, {
+      rubricScores: [
+        { criterionId: tests._id.toString(), points: 3, comment: 'Missing edge cases' },
+        { criterionId: design._id.toString(), points: '5' }
+      ],
+      feedback: 'Good work'
+    });
+
+    assert.equal(grade.rawScore, 8);
+    assert.equal(grade.score, 8);
+    assert.equal(grade.percentage, 80);
+    assert.equal(grade.passed, true);
+    assert.deepEqual(grade.rubricScores.map(item => [item.criterion, item.points]), [['Design', 5], ['Tests', 3]]);
+    assert.equal(grade.feedback, 'Good work');
+  });
+
+  it('applies the late penalty to late submissions', () => {
+    const grade = buildGrade(rubricAssignment, { isLate: true }, {
+      rubricScores: [
+        { criterionId: design._id, points: 5 },
+        { criterionId: tests._id, points: 2 }
+      ]
+    });
+
+    assert.equal(grade.rawScore, 7);
+    assert.equal(grade.latePenaltyPercent, 20);
+    assert.equal(grade.score, 5.6);
+    assert.equal(grade.percentage, 56);
+    assert.equal(grade.passed, false);
+  });
+
+  it('requires every criterion to be scored within its maximum', () => {
+    assert.throws(
+      () => buildGrade(rubricAssignment, {}, { rubricScores: [{ criterionId: design._id, points: 6 }] }),
+      { statusCode: 400, message: 'Please score "Tests" between 0 and 4' }
+    );
+    assert.throws(
+      () => buildGrade(rubricAssignment, {}, {
+        rubricScores: [{ criterionId: design._id, points: 7 }, { criterionId: tests._id, points: 1 }]
+      }),
+      { message: 'Please score "Design" between 0 and 6' }
+    );
+  });
+
+  it('takes a single score without a rubric', () => {
+    const grade = buildGrade(plainAssignment, { isLate: true }, { score: 40 });
+
+    assert.equal(grade.score, 36);
+    assert.equal(grade.percentage, 72);
+    assert.deepEqual(grade.rubricScores, []);
+    assert.throws(() => buildGrade(plainAssignment, {}, { score: 51 }), { message: 'score must be between 0 and 50' });
+    assert.throws(() => buildGrade(plainAssignment, {}, {}), { statusCode: 400 });
+  });
+});
+
+describe('getSubmissionBlocker', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const pastDue = new Date('2026-10-18T12:00:00Z');
+
+  it('allows a first submission before the due date', () => {
+    assert.equal(getSubmissionBlocker({ dueAt: new Date('2026-10-20T00:00:00Z') }, [], now), null);
+  });
+
+  it('blocks late, exhausted and already graded submissions', () => {
+    assert.equal(
+      getSubmissionBlocker({ dueAt: pastDue, allowLateSubmissions: false }, [], now),
+      'The due date for this assignment has passed'
+    );
+    assert.equal(getSubmissionBlocker({ dueAt: pastDue, allowLateSubmissions: true }, [], now), null);
+    assert.equal(
+      getSubmissionBlocker({ maxSubmissions: 2 }, [{ status: 'superseded' }, { status: 'submitted' }], now),
+      'You have used all submissions for this assignment'
+    );
+    assert.equal(
+      getSubmissionBlocker({ allowResubmissionAfterGrading: false }, [{ status: 'graded' }], now),
+      'This assignment has already been graded'
+    );
+    assert.equal(getSubmissionBlocker({ allowResubmissionAfterGrading: true }, [{ status: 'graded' }], now), null);
+  });
+});
+
+describe('normalizeAttachments', () => {
+  it('keeps http(s) links and names them by URL when unnamed', () => {
+    assert.deepEqual(normalizeAttachments([
+      { url: ' https://example.com/report.pdf ', name: 'Report', kind: 'file' },
+      { url: 'http://example.com/repo' }
+    ]), [
+      { name: 'Report', url: 'https://example.com/report.pdf', kind: 'file' },
+      { name: 'http://example.com/repo', url: 'http://example.com/repo', kind: 'link' }
+    ]);
+    assert.deepEqual(normalizeAttachments(undefined), []);
+  });
+
+  it('rejects other URLs and too many attachments', () => {
+    assert.throws(() => normalizeAttachments([{ url: 'javascript:alert(1)' }]), {
+      statusCode: 400,
+      message: 'Attachment 1: url must be an http(s) URL'
+    });
+    assert.throws(() => normalizeAttachments('https://example.com'), { message: 'attachments must be an array' });
+    assert.throws(
+      () => normalizeAttachments(Array.from({ length: 11 }, () => ({ url: 'https://example.com' }))),
+      { message: 'You can attach at most 10 files or links' }
+    );
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import Payment from '../models/Payment.js';
+import { applyCoupon, recordCouponUsage } from '../utils/coupons.js';
+
+// Fail fast on any query a test forgot to stub instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+const courseA = new mongoose.Types.ObjectId();
+const courseB = new mongoose.Types.ObjectId();
+const workshop = new mongoose.Types.ObjectId();
+
+const pricing = {
+  items: [
+    { itemType: 'course', itemId: courseA, lineTotal: 1000 },
+    { itemType: 'course', itemId: courseB, lineTotal: 500 },
+    { itemType: 'workshop', itemId: workshop, lineTotal: 250 }
+  ],
+  subtotal: 1750
+};
+
+const coupon = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  code: 'SAVE10',
+  isActive: true,
+  discountType: 'percentage',
+  discountValue: 10,
+  minOrderValue: 0,
+  usedCount: 0,
+  scope: { itemTypes: [], courses: [] },
+  ...overrides
+});
+
+const stubCoupon = (overrides) => mock.method(Coupon, 'findOne', async () => coupon(overrides));
+
+describe('applyCoupon', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('spreads a percentage discount across lines in proportion to their totals', async () => {
+    stubCoupon();
+
+    const priced = await applyCoupon(pricing, ' save10 ', userId);
+
+    assert.equal(priced.discount, 175);
+    assert.equal(priced.total, 1575);
+    assert.deepEqual(priced.items.map(item => item.discount), [100, 50, 25]);
+    assert.equal(priced.coupon.code, 'SAVE10');
+    assert.equal(priced.coupon.discountAmount, 175);
+  });
+
+  it('only discounts items in the coupon scope', async () => {
+    stubCoupon({ discountType: 'fixed', discountValue: 300, scope: { itemTypes: [], courses: [courseB] } });
+
+    const priced = await applyCoupon(pricing, 'SAVE10', userId);
+
+    assert.deepEqual(priced.items.map(item => item.discount), [0, 300, 0]);
+    assert.equal(priced.total, 1450);
+  });
+
+  it('caps percentage discounts and never discounts below zero', async () => {
+    stubCoupon({ maxDiscountAmount: 100 });
+    assert.equal((await applyCoupon(pricing, 'SAVE10', userId)).discount, 100);
+
+    mock.restoreAll();
+    stubCoupon({ discountType: 'percentage', discountValue: 100 });
+    const free = await applyCoupon(pricing, 'SAVE10', userId);
+    assert.equal(free.total, 0);
+    assert.equal(free.items.reduce((sum, item) => sum + item.discount, 0), 1750);
+  });
+
+  it('gives the rounding remainder to the last discounted line', async () => {
+    stubCoupon({ discountType: 'fixed', discountValue: 100 });
+    const thirds = {
+      items: [1, 2, 3].map(() => ({ itemType: 'course', itemId: new mongoose.Types.ObjectId(), lineTotal: 100 })),
+      subtotal: 300
+    };
+
+    const priced = await applyCoupon(thirds, 'SAVE10', userId);
+
+    assert.deepEqual(priced.items.map(item => item.discount), [33.33, 33.33, 33.34]);
+  });
+
+  it('rejects coupons that cannot be used', async () => {
+    const cases = [
+      [null, 'Invalid coupon code'],
+      [{ isActive: false }, 'Invalid coupon code'],
+      [{ validUntil: new Date(Date.now() - 1000) }, 'This coupon has expired'],
+      [{ validFrom: new Date(Date.now() + 60000) }, 'This coupon is not active yet'],
+      [{ usageLimit: 5, usedCount: 5 }, 'This coupon has reached its usage limit'],
+      [{ minOrderValue: 2000 }, 'This coupon requires a minimum order value of 2000'],
+      [{ scope: { itemTypes: ['membership'], courses: [] } }, 'This coupon does not apply to any item in your order']
+    ];
+
+    for (const [overrides, message] of cases) {
+      mock.method(Coupon, 'findOne', async () => (overrides === null ? null : coupon(overrides)));
+      await assert.rejects(applyCoupon(pricing, 'SAVE10', userId), { statusCode: 400, message });
+      mock.restoreAll();
+    }
+
+    await assert.rejects(applyCoupon(pricing, '  ', userId), { message: 'Please provide a coupon code' });
+  });
+
+  it('counts only completed uses against the per-user limit', async () => {
+    const otherUser = new mongoose.Types.ObjectId();
+    stubCoupon({ usageLimitPerUser: 1, redemptions: [{ user: otherUser }] });
+    assert.equal((await applyCoupon(pricing, 'SAVE10', userId)).discount, 175);
+
+    mock.restoreAll();
+    stubCoupon({ usageLimitPerUser: 1, redemptions: [{ user: userId }] });
+    await assert.rejects(applyCoupon(pricing, 'SAVE10', userId), {
+      message: 'You have already used this coupon the maximum number of times'
+    });
+  });
+});
+
+describe('coupon usage', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('counts a use once per completed payment', async () => {
+    const payment = {
+      _id: new mongoose.Types.ObjectId(),
+      user: userId,
+      coupon: { couponId: new mongoose.Types.ObjectId(), usageCounted: false }
+    };
+    const claim = mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const count = mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await recordCouponUsage(payment), true);
+    const [filter, change] = count.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: payment.coupon.couponId });
+    assert.deepEqual(change.$inc, { usedCount: 1 });
+    assert.equal(change.$push.redemptions.user, userId);
+
+    // The verify call and the webhook both complete the payment; only one counts it
+    claim.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+    assert.equal(await recordCouponUsage(payment), false);
+    assert.equal(count.mock.callCount(), 1);
+
+    assert.equal(await recordCouponUsage({ _id: payment._id }), false);
+  });
+});
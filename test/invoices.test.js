@@ -0,0 +1,84 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import Counter from '../models/Counter.js';
+import { ensureInvoice } from '../utils/invoices.js';
+
+// Fail fast on any query a test forgot to stub instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const completedPayment = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  paymentStatus: 'completed'
+});
+
+describe('ensureInvoice', () => {
+  let numbered;
+
+  beforeEach(() => {
+    numbered = null;
+    // Invoice PDFs already exist, so nothing is rendered
+    mock.method(fs, 'existsSync', () => true);
+    mock.method(Payment, 'updateOne', async (filter, update) => {
+      numbered = { filter, update };
+      return { modifiedCount: 1 };
+    });
+    mock.method(Payment, 'findById', async (id) => ({ _id: id, ...numbered?.update.$set }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('records the allocated number on the payment before releasing it', async () => {
+    const payment = completedPayment();
+    const allocate = mock.method(Counter, 'allocate', async () => 7);
+    const release = mock.method(Counter, 'release', async () => {
+      assert.ok(numbered, 'number is recorded before it is released');
+    });
+
+    const filePath = await ensureInvoice(payment);
+
+    const [counterName, owner] = allocate.mock.calls[0].arguments;
+    assert.match(counterName, /^invoice-\d{4}-\d{2}$/);
+    assert.equal(owner, payment._id.toString());
+    assert.deepEqual(release.mock.calls[0].arguments, [counterName, owner]);
+
+    assert.deepEqual(numbered.filter, { _id: payment._id, invoiceNumber: { $exists: false } });
+    assert.match(payment.invoiceNumber, /^INV\/\d{4}-\d{2}\/00007$/);
+    assert.equal(payment.invoiceUrl, `/api/payments/${payment._id}/invoice`);
+    assert.ok(filePath.endsWith(`${payment.invoiceNumber.replace(/[^A-Za-z0-9-]/g, '-')}.pdf`));
+  });
+
+  it('keeps the allocation when the number could not be recorded', async () => {
+    mock.method(Counter, 'allocate', async () => 8);
+    const release = mock.method(Counter, 'release', async () => {});
+    Payment.updateOne.mock.mockImplementation(async () => {
+      throw new Error('connection lost');
+    });
+
+    await assert.rejects(ensureInvoice(completedPayment()), { message: 'connection lost' });
+    // The next attempt for this payment gets number 8 again
+    assert.equal(release.mock.callCount(), 0);
+  });
+
+  it('uses the number a concurrent call recorded', async () => {
+    const payment = completedPayment();
+    mock.method(Counter, 'allocate', async () => null);
+    Payment.findById.mock.mockImplementation(async () => ({ _id: payment._id, invoiceNumber: 'INV/2026-27/00003' }));
+
+    await ensureInvoice(payment);
+
+    assert.equal(Payment.updateOne.mock.callCount(), 0);
+    assert.equal(payment.invoiceNumber, 'INV/2026-27/00003');
+  });
+
+  it('does not number payments that have not completed', async () => {
+    const allocate = mock.method(Counter, 'allocate', async () => 1);
+
+    assert.equal(await ensureInvoice({ _id: new mongoose.Types.ObjectId(), paymentStatus: 'pending' }), null);
+    assert.equal(allocate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import ReconciliationRun from '../models/ReconciliationRun.js';
+import { reconcileStalePayments } from '../utils/paymentReconciliation.js';
+
+// Fail fast on any query a test forgot to stub instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const stalePayment = (orderId, paymentStatus = 'pending') => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderId,
+  paymentStatus,
+  paymentMethod: 'other'
+});
+
+// Razorpay client double answering from per-order fixtures
+const mockGateway = (orders) => ({
+  fetchOrder: async (orderId) => orders[orderId].order,
+  fetchOrderPayments: async (orderId) => {
+    if (orders[orderId].error) {
+      throw new Error(orders[orderId].error);
+    }
+    return orders[orderId].attempts;
+  }
+});
+
+const runWith = (payments, orders) => {
+  mock.method(Payment, 'find', () => ({ sort: async () => payments }));
+  return reconcileStalePayments({ olderThanMinutes: 30, gateway: mockGateway(orders) });
+};
+
+describe('reconcileStalePayments', () => {
+  let statusWrites;
+  let fulfillClaims;
+
+  beforeEach(() => {
+    mock.method(ReconciliationRun.prototype, 'save', async function () {
+      return this;
+    });
+    statusWrites = [];
+    fulfillClaims = [];
+    // Status writes are conditional on the status read; fulfillment claims
+    // the payment afterwards, with nothing to grant in these tests
+    mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+      if (typeof filter.paymentStatus === 'string') {
+        statusWrites.push({ filter, update });
+        return { _id: filter._id, ...update.$set };
+      }
+      fulfillClaims.push(filter);
+      return null;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('completes a payment whose attempt was captured and fulfils it', async () => {
+    const payment = stalePayment('order_captured');
+
+    const run = await runWith([payment], {
+      order_captured: {
+        order: { status: 'attempted' },
+        attempts: [
+          { id: 'pay_failed', status: 'failed' },
+          { id: 'pay_ok', status: 'captured', method: 'upi', vpa: 'student@upi' }
+        ]
+      }
+    });
+
+    const [{ filter, update }] = statusWrites;
+    assert.deepEqual(filter, { _id: payment._id, paymentStatus: 'pending' });
+    assert.equal(update.$set.paymentStatus, 'completed');
+    assert.equal(update.$set.transactionId, 'pay_ok');
+    assert.equal(update.$set.paymentMethod, 'upi');
+    assert.equal(update.$set.metadata.razorpayPayment.vpa, 'student@upi');
+    assert.equal(fulfillClaims.length, 1);
+    assert.equal(fulfillClaims[0]._id, payment._id);
+    assert.equal(run.checked, 1);
+    assert.deepEqual(
+      run.changes.map(({ from, to, orderId }) => ({ from, to, orderId })),
+      [{ from: 'pending', to: 'completed', orderId: 'order_captured' }]
+    );
+  });
+
+  it('completes a payment whose order the gateway marked paid', async () => {
+    const payment = stalePayment('order_paid', 'processing');
+
+    await runWith([payment], { order_paid: { order: { status: 'paid' }, attempts: [] } });
+
+    assert.equal(statusWrites[0].update.$set.paymentStatus, 'completed');
+    assert.equal(fulfillClaims.length, 1);
+  });
+
+  it('fails, cancels or holds payments from their attempts', async () => {
+    const failed = stalePayment('order_failed');
+    const abandoned = stalePayment('order_abandoned');
+    const authorized = stalePayment('order_authorized');
+
+    const run = await runWith([failed, abandoned, authorized], {
+      order_failed: {
+        order: { status: 'attempted' },
+        attempts: [{ id: 'pay_1', status: 'failed', error_description: 'Card declined' }]
+      },
+      order_abandoned: { order: { status: 'created' }, attempts: [] },
+      order_authorized: {
+        order: { status: 'attempted' },
+        attempts: [{ id: 'pay_2', status: 'authorized', method: 'card' }]
+      }
+    });
+
+    const written = new Map(statusWrites.map(({ filter, update }) => [filter._id, update.$set]));
+    assert.equal(written.get(failed._id).paymentStatus, 'failed');
+    assert.equal(written.get(failed._id).notes, 'Reconciliation: Card declined');
+    assert.equal(written.get(abandoned._id).paymentStatus, 'cancelled');
+    assert.equal(written.get(authorized._id).paymentStatus, 'processing');
+    assert.equal(written.get(authorized._id).transactionId, 'pay_2');
+    assert.equal(fulfillClaims.length, 0);
+    assert.deepEqual(run.changes.map(change => change.to), ['failed', 'cancelled', 'processing']);
+  });
+
+  it('leaves payments alone when the gateway has nothing new', async () => {
+    const payment = stalePayment('order_same', 'processing');
+
+    const run = await runWith([payment], {
+      order_same: { order: { status: 'attempted' }, attempts: [{ id: 'pay_3', status: 'authorized' }] }
+    });
+
+    assert.equal(statusWrites.length, 0);
+    assert.equal(run.changes.length, 0);
+  });
+
+  it('skips a payment a webhook settled while the gateway was asked', async () => {
+    const payment = stalePayment('order_raced');
+    Payment.findOneAndUpdate.mock.mockImplementation(async () => null);
+
+    const run = await runWith([payment], { order_raced: { order: { status: 'created' }, attempts: [] } });
+
+    assert.equal(run.changes.length, 0);
+    assert.equal(run.failures.length, 0);
+  });
+
+  it('records gateway errors as failures and carries on', async () => {
+    const broken = stalePayment('order_broken');
+    const abandoned = stalePayment('order_abandoned');
+
+    const run = await runWith([broken, abandoned], {
+      order_broken: { order: { status: 'created' }, error: 'Gateway timeout' },
+      order_abandoned: { order: { status: 'created' }, attempts: [] }
+    });
+
+    assert.ok(statusWrites.every(({ filter }) => filter._id !== broken._id));
+    assert.deepEqual(run.failures.map(({ orderId, error }) => ({ orderId, error })), [
+      { orderId: 'order_broken', error: 'Gateway timeout' }
+    ]);
+    assert.equal(run.changes.length, 1);
+    assert.equal(run.checked, 2);
+    assert.ok(run.finishedAt);
+  });
+});
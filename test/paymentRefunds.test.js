@@ -0,0 +1,163 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import fs from 'fs';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import { issueRefund, getRefundableAmount } from '../utils/paymentRefunds.js';
+
+// Fail fast on any query a test forgot to stub instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const paymentId = new mongoose.Types.ObjectId();
+const adminId = new mongoose.Types.ObjectId();
+
+const reservedPayment = (overrides = {}) => ({
+  _id: paymentId,
+  paymentGateway: 'razorpay',
+  transactionId: 'pay_123',
+  amount: 1000,
+  ...overrides
+});
+
+// Payment as settleLedger sees it, already invoiced
+const settledPayment = {
+  _id: paymentId,
+  amount: 1000,
+  refundAmount: 400,
+  paymentStatus: 'partially_refunded',
+  fulfillmentStatus: 'fulfilled',
+  invoiceNumber: 'INV-1',
+  refunds: []
+};
+
+const getLedgerEntryId = (reserveCall) =>
+  reserveCall.arguments[1].$push.refunds._id.toString();
+
+describe('issueRefund', () => {
+  beforeEach(() => {
+    // Invoice PDFs already exist, so settling the ledger doesn't render any
+    mock.method(fs, 'existsSync', () => true);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects amounts that are not positive numbers', async () => {
+    const reserve = mock.method(Payment, 'findOneAndUpdate', async () => null);
+
+    for (const amount of [0, -5, 'abc', undefined]) {
+      await assert.rejects(
+        issueRefund(paymentId, { amount, reason: 'Duplicate' }),
+        { statusCode: 400, message: 'Please provide a valid refund amount' }
+      );
+    }
+    assert.equal(reserve.mock.callCount(), 0);
+  });
+
+  it('reserves the refund within the refundable balance before calling the gateway', async () => {
+    const refundGateway = mock.fn(async () => ({ id: 'rfnd_1', status: 'processed' }));
+    const reserve = mock.method(Payment, 'findOneAndUpdate', async () => reservedPayment());
+    const updates = mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    // The second findOneAndUpdate is the ledger sync
+    reserve.mock.mockImplementationOnce(async () => reservedPayment(), 0);
+    reserve.mock.mockImplementationOnce(async () => settledPayment, 1);
+
+    const payment = await issueRefund(
+      paymentId,
+      { amount: 400, reason: 'Course cancelled', initiatedBy: adminId },
+      { refundGateway }
+    );
+
+    const [filter, update] = reserve.mock.calls[0].arguments;
+    assert.deepEqual(filter.paymentStatus, { $in: ['completed', 'partially_refunded'] });
+    assert.ok(filter.$expr, 'reservation is guarded by the refunded total');
+    assert.equal(update.$push.refunds.status, 'pending');
+    assert.equal(update.$push.refunds.amount, 400);
+
+    const ledgerEntryId = getLedgerEntryId(reserve.mock.calls[0]);
+    assert.equal(refundGateway.mock.callCount(), 1);
+    assert.deepEqual(refundGateway.mock.calls[0].arguments, [
+      'pay_123',
+      400,
+      { reason: 'Course cancelled', paymentRecordId: paymentId.toString(), ledgerEntryId }
+    ]);
+
+    const sets = updates.mock.calls.map(call => call.arguments[1].$set);
+    assert.equal(sets[0]['refunds.$.refundId'], 'rfnd_1');
+    assert.equal(sets[1]['refunds.$.status'], 'processed');
+    assert.equal(payment, settledPayment);
+  });
+
+  it('leaves refunds the gateway has not settled pending', async () => {
+    const refundGateway = async () => ({ id: 'rfnd_2', status: 'pending' });
+    const reserve = mock.method(Payment, 'findOneAndUpdate', async () => settledPayment);
+    reserve.mock.mockImplementationOnce(async () => reservedPayment(), 0);
+    const updates = mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await issueRefund(paymentId, { amount: 400, reason: 'Partial' }, { refundGateway });
+
+    assert.equal(updates.mock.callCount(), 1);
+    assert.equal(updates.mock.calls[0].arguments[1].$set['refunds.$.refundId'], 'rfnd_2');
+  });
+
+  it('marks the reserved entry failed and rethrows when the gateway refund fails', async () => {
+    const refundGateway = async () => {
+      throw new Error('Refund amount exceeds captured amount');
+    };
+    const reserve = mock.method(Payment, 'findOneAndUpdate', async () => settledPayment);
+    reserve.mock.mockImplementationOnce(async () => reservedPayment(), 0);
+    const updates = mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await assert.rejects(
+      issueRefund(paymentId, { amount: 400, reason: 'Partial' }, { refundGateway }),
+      { message: 'Refund amount exceeds captured amount' }
+    );
+
+    const ledgerEntryId = getLedgerEntryId(reserve.mock.calls[0]);
+    const [filter, update] = updates.mock.calls[0].arguments;
+    assert.equal(filter['refunds._id'].toString(), ledgerEntryId);
+    assert.equal(update.$set['refunds.$.status'], 'failed');
+    // Totals are recomputed so the failed entry no longer holds its amount
+    assert.equal(reserve.mock.callCount(), 2);
+  });
+
+  it('settles refunds of manual payments without a gateway call', async () => {
+    const refundGateway = mock.fn();
+    const reserve = mock.method(Payment, 'findOneAndUpdate', async () => settledPayment);
+    reserve.mock.mockImplementationOnce(async () => reservedPayment({ paymentGateway: 'manual' }), 0);
+    const updates = mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await issueRefund(paymentId, { amount: 400, reason: 'Cash returned' }, { refundGateway });
+
+    assert.equal(refundGateway.mock.callCount(), 0);
+    assert.equal(updates.mock.calls[0].arguments[1].$set['refunds.$.status'], 'processed');
+  });
+
+  it('explains why a refund could not be reserved', async () => {
+    mock.method(Payment, 'findOneAndUpdate', async () => null);
+    const findById = mock.method(Payment, 'findById', async () => null);
+
+    await assert.rejects(issueRefund(paymentId, { amount: 100 }), { statusCode: 404 });
+
+    findById.mock.mockImplementation(async () => ({ paymentStatus: 'pending', amount: 1000 }));
+    await assert.rejects(issueRefund(paymentId, { amount: 100 }), {
+      statusCode: 400,
+      message: 'Can only refund completed or partially refunded payments'
+    });
+
+    findById.mock.mockImplementation(async () => ({ paymentStatus: 'partially_refunded', amount: 1000, refundAmount: 950 }));
+    await assert.rejects(issueRefund(paymentId, { amount: 100 }), {
+      statusCode: 400,
+      message: 'Refund amount cannot exceed the refundable balance of 50'
+    });
+  });
+});
+
+describe('getRefundableAmount', () => {
+  it('rounds the remaining balance to the paisa', () => {
+    assert.equal(getRefundableAmount({ amount: 999.99, refundAmount: 333.33 }), 666.66);
+    assert.equal(getRefundableAmount({ amount: 500 }), 500);
+  });
+});
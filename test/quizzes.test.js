@@ -0,0 +1,170 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  normalizeQuestions,
+  gradeAnswers,
+  validateSubmittedAnswers,
+  scoreAttempt,
+  getAttemptQuestions,
+  toStudentQuestion
+} from '../utils/quizzes.js';
+
+const question = (fields) => ({ _id: new mongoose.Types.ObjectId(), points: 1, prompt: 'Question', ...fields });
+
+const single = question({ type: 'single_choice', options: ['A', 'B', 'C'], correctOptions: [1], points: 2 });
+const multiple = question({ type: 'multiple_choice', options: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K'], correctOptions: [2, 10] });
+const trueFalse = question({ type: 'true_false', correctAnswer: false });
+const shortAnswer = question({ type: 'short_answer', acceptedAnswers: ['Event Loop'] });
+const openEnded = question({ type: 'short_answer', acceptedAnswers: [], points: 3 });
+
+const answer = (questionItem, fields) => ({ questionId: questionItem._id.toString(), ...fields });
+
+describe('normalizeQuestions', () => {
+  it('keeps valid questions and trims their text', () => {
+    const [normalized] = normalizeQuestions([
+      { type: 'single_choice', prompt: '  Pick one ', options: [' A ', 'B'], correctOptions: [0, 0] }
+    ]);
+
+    assert.equal(normalized.prompt, 'Pick one');
+    assert.deepEqual(normalized.options, ['A', 'B']);
+    assert.deepEqual(normalized.correctOptions, [0]);
+    assert.equal(normalized.points, 1);
+  });
+
+  it('rejects malformed questions with the question number', () => {
+    const cases = [
+      [[], 'Please provide at least one question'],
+      [[{ type: 'essay', prompt: 'Why?' }], 'Question 1: type must be one of'],
+      [[{ type: 'true_false', prompt: ' ' }], 'Question 1: prompt is required'],
+      [[{ type: 'true_false', prompt: 'Sure?', correctAnswer: 'yes' }], 'Question 1: correctAnswer must be true or false'],
+      [[{ type: 'single_choice', prompt: 'Pick', options: ['A'], correctOptions: [0] }], 'Question 1: choice questions need at least two'],
+      [[{ type: 'single_choice', prompt: 'Pick', options: ['A', 'B'], correctOptions: [2] }], 'Question 1: correctOptions must reference options'],
+      [[{ type: 'single_choice', prompt: 'Pick', options: ['A', 'B'], correctOptions: [0, 1] }], 'Question 1: single choice questions have exactly one'],
+      [[{ type: 'true_false', prompt: 'Ok', correctAnswer: true }, { type: 'short_answer', prompt: 'Ok', points: -1 }], 'Question 2: points must be']
+    ];
+
+    for (const [questions, message] of cases) {
+      assert.throws(() => normalizeQuestions(questions), error =>
+        error.statusCode === 400 && error.message.startsWith(message)
+      );
+    }
+  });
+});
+
+describe('gradeAnswers', () => {
+  it('grades each question type', () => {
+    const { answers, needsReview } = gradeAnswers([single, multiple, trueFalse, shortAnswer], [
+      answer(single, { selectedOptions: [1] }),
+      // Order and duplicates don't matter; indexes compare as numbers
+      answer(multiple, { selectedOptions: ['10', 2, 10] }),
+      answer(trueFalse, { booleanAnswer: false }),
+      answer(shortAnswer, { textAnswer: '  event   LOOP ' })
+    ]);
+
+    assert.equal(needsReview, false);
+    assert.deepEqual(answers.map(item => item.isCorrect), [true, true, true, true]);
+    assert.deepEqual(answers.map(item => item.pointsAwarded), [2, 1, 1, 1]);
+  });
+
+  it('awards nothing for wrong, partial or missing answers', () => {
+    const { answers } = gradeAnswers([single, multiple, trueFalse, shortAnswer], [
+      answer(single, { selectedOptions: [0] }),
+      answer(multiple, { selectedOptions: [2] }),
+      answer(shortAnswer, { textAnswer: '' })
+    ]);
+
+    assert.deepEqual(answers.map(item => item.isCorrect), [false, false, false, false]);
+    assert.deepEqual(answers.map(item => item.pointsAwarded), [0, 0, 0, 0]);
+  });
+
+  it('leaves short answers without accepted answers for review', () => {
+    const { answers, needsReview } = gradeAnswers([trueFalse, openEnded], [
+      answer(openEnded, { textAnswer: 'Because of closures' })
+    ]);
+
+    assert.equal(needsReview, true);
+    assert.equal(answers[1].isCorrect, null);
+    assert.equal(answers[1].pointsAwarded, undefined);
+  });
+});
+
+describe('validateSubmittedAnswers', () => {
+  it('accepts well-formed or missing answers', () => {
+    assert.doesNotThrow(() => validateSubmittedAnswers(undefined));
+    assert.doesNotThrow(() => validateSubmittedAnswers([
+      answer(single, { selectedOptions: [1, '2'] }),
+      answer(trueFalse, { booleanAnswer: false }),
+      answer(shortAnswer, { textAnswer: 'loop' })
+    ]));
+  });
+
+  it('rejects malformed answers with a 400', () => {
+    const cases = [
+      [{ questionId: single._id }, 'answers must be an array'],
+      [[null], 'Answer 1: must be an object with a questionId'],
+      [[answer(single, { selectedOptions: 1 })], 'Answer 1: selectedOptions must be an array of option indexes'],
+      [[answer(trueFalse, {}), answer(single, { selectedOptions: ['b'] })], 'Answer 2: selectedOptions must be'],
+      [[answer(trueFalse, { booleanAnswer: 'false' })], 'Answer 1: booleanAnswer must be true or false'],
+      [[answer(shortAnswer, { textAnswer: ['loop'] })], 'Answer 1: textAnswer must be a string']
+    ];
+
+    for (const [submitted, message] of cases) {
+      assert.throws(() => validateSubmittedAnswers(submitted), error =>
+        error.statusCode === 400 && error.message.startsWith(message)
+      );
+    }
+  });
+});
+
+describe('scoreAttempt', () => {
+  it('scores the attempt against the pass percentage', () => {
+    const questions = [single, trueFalse, openEnded];
+    const attempt = {
+      answers: [
+        { questionId: single._id, pointsAwarded: 2 },
+        { questionId: trueFalse._id, pointsAwarded: 0 },
+        { questionId: openEnded._id, pointsAwarded: 2 }
+      ]
+    };
+
+    scoreAttempt(attempt, questions, 66);
+    assert.equal(attempt.score, 4);
+    assert.equal(attempt.maxScore, 6);
+    assert.equal(attempt.percentage, 66.67);
+    assert.equal(attempt.passed, true);
+
+    scoreAttempt(attempt, questions, 70);
+    assert.equal(attempt.passed, false);
+  });
+
+  it('passes quizzes worth no points', () => {
+    const attempt = scoreAttempt({ answers: [] }, [question({ type: 'true_false', points: 0 })], 80);
+    assert.equal(attempt.percentage, 100);
+    assert.equal(attempt.passed, true);
+  });
+});
+
+describe('attempt questions', () => {
+  it('grades against the snapshot taken when the attempt started', () => {
+    const edited = { ...single, correctOptions: [0] };
+    const quiz = { questions: [edited, trueFalse, shortAnswer] };
+    const attempt = { questions: [shortAnswer, single], questionOrder: [] };
+
+    assert.deepEqual(getAttemptQuestions(quiz, attempt), [shortAnswer, single]);
+  });
+
+  it('never adds questions created after an older attempt started', () => {
+    const quiz = { questions: [single, trueFalse, shortAnswer] };
+
+    assert.deepEqual(getAttemptQuestions(quiz, { questionOrder: [shortAnswer._id, single._id] }), [shortAnswer, single]);
+    assert.deepEqual(getAttemptQuestions(quiz, { questionOrder: [] }), []);
+  });
+
+  it('hides answers from students', () => {
+    const shown = toStudentQuestion({ ...single, explanation: 'B is right' });
+
+    assert.deepEqual(Object.keys(shown).sort(), ['_id', 'options', 'points', 'prompt', 'type']);
+    assert.deepEqual(toStudentQuestion(trueFalse).options, []);
+  });
+});
@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import Payment from '../models/Payment.js';
+import Internship from '../models/Internship.js';
+import Blog from '../models/Blog.js';
+import Course from '../models/Course.js';
+import Workshop from '../models/Workshop.js';
+import Submission from '../models/Submission.js';
+import Session from '../models/Session.js';
+import Certificate from '../models/Certificate.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import AssignmentSubmission from '../models/AssignmentSubmission.js';
+import Review from '../models/Review.js';
+import { revokeAllSessions } from './sessions.js';
+import { unlinkAccount } from './accountLinks.js';
+import { recordAudit } from './auditLog.js';
+import { getCertificatePath } from './certificates.js';
+
+const DELETED_USER_NAME = 'Deleted User';
+const DEFAULT_DELETION_INTERVAL_MINUTES = 60;
+
+let deletionTimer = null;
+let deletionRunning = false;
+
+export const getDeletionGraceDays = () => {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? 14 : days;
+};
+
+// Everything we hold about a user, for data access requests
+export const buildPersonalDataExport = async (userId) => {
+  const user = await User.findById(userId).select('-password');
+
+  const [payments, internships, blogs, submissions, workshops, sessions, certificates, quizAttempts, assignmentSubmissions, reviews] = await Promise.all([
+    Payment.find({ user: userId }).sort({ createdAt: -1 }),
+    Internship.find({ 'applications.studentId': userId }).select('title companyName applications'),
+    Blog.find({ author: userId }).sort({ createdAt: -1 }),
+    Submission.find({ submittedBy: userId }).sort({ createdAt: -1 }),
+    Workshop.find({ 'registrations.user': userId }).select('title schedule.startDate registrations'),
+    Session.find({ user: userId }).sort({ createdAt: -1 }),
+    Certificate.find({ user: userId }).sort({ issuedAt: -1 }),
+    QuizAttempt.find({ user: userId }).sort({ createdAt: -1 }),
+    AssignmentSubmission.find({ user: userId }).sort({ submittedAt: -1 }),
+    Review.find({ user: userId }).select('-reports').sort({ createdAt: -1 })
+  ]);
+
+  const enrolledCourseIds = (user.studentDetails?.enrolledCourses || []).map(enrollment => enrollment.courseId);
+  const courses = await Course.find({ _id: { $in: enrolledCourseIds } }).select('title');
+  const courseTitles = new Map(courses.map(course => [course._id.toString(), course.title]));
+
+  return {
+    exportedAt: new Date(),
+    user: user.toObject(),
+    enrollments: (user.studentDetails?.enrolledCourses || []).map(enrollment => ({
+      ...enrollment.toObject(),
+      courseTitle: courseTitles.get(enrollment.courseId?.toString())
+    })),
+    payments: payments.map(payment => payment.toObject()),
+    internshipApplications: internships.map(internship => {
+      const application = internship.applications.find(app => app.studentId?.toString() === userId.toString());
+      return {
+        internshipId: internship._id,
+        internshipTitle: internship.title,
+        companyName: internship.companyName,
+        ...application.toObject()
+      };
+    }),
+    workshopRegistrations: workshops.map(workshop => {
+      const registration = workshop.registrations.find(reg => reg.user?.toString() === userId.toString());
+      return {
+        workshopId: workshop._id,
+        workshopTitle: workshop.title,
+        startDate: workshop.schedule?.startDate,
+        ...registration.toObject()
+      };
+    }),
+    blogPosts: blogs.map(blog => blog.toObject()),
+    submissions: submissions.map(submission => submission.toObject()),
+    certificates: certificates.map(certificate => certificate.toObject()),
+    quizAttempts: quizAttempts.map(attempt => attempt.toObject()),
+    assignmentSubmissions: assignmentSubmissions.map(submission => submission.toObject()),
+    courseReviews: reviews.map(review => review.toObject()),
+    sessions: sessions.map(session => session.toObject())
+  };
+};
+
+// Strip personal data from a user and every denormalized copy of it. Records
+// needed for accounting (payments, refunds, issued invoice PDFs) are kept but
+// point at the anonymized user; the billing state stays for GST place of supply.
+export const anonymizeUser = async (userId, { reason = 'user_request' } = {}) => {
+  const user = await User.findById(userId);
+  if (!user || user.deletedAt) {
+    return null;
+  }
+
+  const anonymizedEmail = `deleted-${user._id}@deleted.invalid`;
+  const originalEmail = user.email;
+
+  await Payment.updateMany(
+    { user: user._id },
+    {
+      $set: { userName: DELETED_USER_NAME, userEmail: anonymizedEmail },
+      $unset: {
+        'billingAddress.name': 1,
+        'billingAddress.email': 1,
+        'billingAddress.phone': 1,
+        'billingAddress.address': 1,
+        'billingAddress.city': 1,
+        'billingAddress.zipCode': 1
+      }
+    }
+  );
+
+  await Internship.updateMany(
+    { 'applications.studentId': user._id },
+    {
+      $set: {
+        'applications.$[app].studentName': DELETED_USER_NAME,
+        'applications.$[app].studentEmail': anonymizedEmail
+      },
+      $unset: {
+        'applications.$[app].resumeUrl': 1,
+        'applications.$[app].coverLetter': 1
+      }
+    },
+    { arrayFilters: [{ 'app.studentId': user._id }] }
+  );
+
+  await Workshop.updateMany(
+    { 'registrations.user': user._id },
+    {
+      $set: {
+        'registrations.$[reg].userName': DELETED_USER_NAME,
+        'registrations.$[reg].userEmail': anonymizedEmail
+      }
+    },
+    { arrayFilters: [{ 'reg.user': user._id }] }
+  );
+
+  await Blog.updateMany({ author: user._id }, { $set: { authorName: DELETED_USER_NAME } });
+  await Review.updateMany({ user: user._id }, { $set: { userName: DELETED_USER_NAME } });
+  // Removing certificates (and their PDFs) makes their verification codes stop verifying
+  const certificates = await Certificate.find({ user: user._id });
+  certificates.forEach(certificate => fs.rmSync(getCertificatePath(certificate), { force: true }));
+  await Certificate.deleteMany({ user: user._id });
+  await Submission.updateMany({ submittedBy: user._id }, { $set: { submittedByName: DELETED_USER_NAME } });
+
+  await revokeAllSessions(user._id, 'account_deleted');
+  await Session.updateMany({ user: user._id }, { $unset: { userAgent: 1, ipAddress: 1 } });
+  await unlinkAccount(user);
+
+  // Overwrite the account itself. Enrollment and application history stays
+  // so course and internship counts remain consistent.
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        name: DELETED_USER_NAME,
+        email: anonymizedEmail,
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+        avatar: '',
+        isActive: false,
+        deletedAt: new Date()
+      },
+      $unset: {
+        phone: 1,
+        identity: 1,
+        pendingEmail: 1,
+        emailChangeToken: 1,
+        emailChangeExpire: 1,
+        verificationToken: 1,
+        verificationExpire: 1,
+        resetPasswordToken: 1,
+        resetPasswordExpire: 1,
+        twoFactor: 1,
+        deletionScheduledFor: 1,
+        'studentDetails.collegeName': 1,
+        'studentDetails.course': 1,
+        'studentDetails.year': 1,
+        'employerDetails.companyWebsite': 1,
+        'employerDetails.companyDescription': 1,
+        'employerDetails.address': 1,
+        'collegeDetails.address': 1,
+        'collegeDetails.contactPerson': 1,
+        'collegeDetails.contactEmail': 1,
+        'collegeDetails.contactPhone': 1,
+        'contentWriterDetails.bio': 1,
+        'contentWriterDetails.specialization': 1
+      }
+    }
+  );
+
+  await recordAudit({
+    action: 'account_deleted',
+    targetUser: user._id,
+    targetEmail: anonymizedEmail,
+    details: { reason, role: user.role, emailHash: User.hashToken(originalEmail) }
+  });
+
+  return user._id;
+};
+
+// Anonymize every account whose deletion grace period has ended
+export const processDueAccountDeletions = async () => {
+  const due = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    deletedAt: { $exists: false }
+  }).select('_id');
+
+  let processed = 0;
+  for (const { _id } of due) {
+    try {
+      if (await anonymizeUser(_id)) {
+        processed += 1;
+      }
+    } catch (error) {
+      console.error(`Error deleting account ${_id}:`, error);
+    }
+  }
+  return processed;
+};
+
+export const startAccountDeletionJob = () => {
+  const intervalMinutes = parseInt(process.env.ACCOUNT_DELETION_INTERVAL_MINUTES, 10);
+  const minutes = Number.isNaN(intervalMinutes) || intervalMinutes < 0 ? DEFAULT_DELETION_INTERVAL_MINUTES : intervalMinutes;
+
+  if (minutes === 0 || deletionTimer) {
+    return;
+  }
+
+  deletionTimer = setInterval(async () => {
+    if (deletionRunning) {
+      return;
+    }
+
+    deletionRunning = true;
+    try {
+      const processed = await processDueAccountDeletions();
+      if (processed > 0) {
+        console.log(`Account deletion: ${processed} account(s) anonymized`);
+      }
+    } catch (error) {
+      console.error('Error processing account deletions:', error);
+    } finally {
+      deletionRunning = false;
+    }
+  }, minutes * 60 * 1000);
+
+  deletionTimer.unref();
+};
@@ -0,0 +1,53 @@
+import User from '../models/User.js';
+import Identity from '../models/Identity.js';
+
+// Admin accounts stay standalone so switching roles can never grant admin access
+export const LINKABLE_ROLES = ['student', 'employer', 'college', 'content_writer'];
+
+// All role accounts owned by the same identity as `user` (including itself)
+export const getLinkedAccounts = async (user) => {
+  if (!user.identity) {
+    return [user];
+  }
+  return User.find({ identity: user.identity }).sort({ createdAt: 1 });
+};
+
+// Put two accounts of the same email under one identity, merging identities
+// if both were already linked to others
+export const linkAccounts = async (user, other) => {
+  let identityId = user.identity || other.identity;
+  if (!identityId) {
+    const identity = await Identity.create({ email: user.email });
+    identityId = identity._id;
+  }
+
+  const mergeFrom = [user.identity, other.identity]
+    .filter(id => id && id.toString() !== identityId.toString());
+
+  await User.updateMany(
+    { $or: [{ _id: { $in: [user._id, other._id] } }, { identity: { $in: mergeFrom } }] },
+    { $set: { identity: identityId } }
+  );
+
+  if (mergeFrom.length > 0) {
+    await Identity.deleteMany({ _id: { $in: mergeFrom } });
+  }
+
+  return identityId;
+};
+
+// Detach an account from its identity; drops the identity once only one account is left
+export const unlinkAccount = async (user) => {
+  if (!user.identity) {
+    return;
+  }
+
+  const identityId = user.identity;
+  await User.updateOne({ _id: user._id }, { $unset: { identity: 1 } });
+
+  const remaining = await User.find({ identity: identityId }).select('_id');
+  if (remaining.length <= 1) {
+    await User.updateMany({ identity: identityId }, { $unset: { identity: 1 } });
+    await Identity.deleteOne({ _id: identityId });
+  }
+};
@@ -0,0 +1,14 @@
+import { ADMIN_PERMISSIONS } from '../models/User.js';
+
+// Check a permissions list from a request body. Returns an error message, or
+// null when every entry is a known admin permission.
+export const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return 'Please provide a non-empty permissions array';
+  }
+  const invalidPermissions = permissions.filter(permission => !ADMIN_PERMISSIONS.includes(permission));
+  if (invalidPermissions.length > 0) {
+    return `Invalid permissions: ${invalidPermissions.join(', ')}`;
+  }
+  return null;
+};
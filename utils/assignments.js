@@ -0,0 +1,109 @@
+const assignmentError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const MAX_ATTACHMENTS = 10;
+
+const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+// Validate a student's attachments: uploaded files and links, both by URL
+export const normalizeAttachments = (attachments) => {
+  if (attachments === undefined) {
+    return [];
+  }
+  if (!Array.isArray(attachments)) {
+    throw assignmentError('attachments must be an array');
+  }
+  if (attachments.length > MAX_ATTACHMENTS) {
+    throw assignmentError(`You can attach at most ${MAX_ATTACHMENTS} files or links`);
+  }
+
+  return attachments.map((attachment, index) => {
+    const url = String(attachment?.url || '').trim();
+    if (!isHttpUrl(url)) {
+      throw assignmentError(`Attachment ${index + 1}: url must be an http(s) URL`);
+    }
+    return {
+      name: String(attachment.name || '').trim() || url,
+      url,
+      kind: attachment.kind === 'file' ? 'file' : 'link'
+    };
+  });
+};
+
+// Why a student can't submit right now, or null if they can
+export const getSubmissionBlocker = (assignment, previousSubmissions, now = new Date()) => {
+  if (assignment.dueAt && now > assignment.dueAt && !assignment.allowLateSubmissions) {
+    return 'The due date for this assignment has passed';
+  }
+  if (assignment.maxSubmissions && previousSubmissions.length >= assignment.maxSubmissions) {
+    return 'You have used all submissions for this assignment';
+  }
+  const latest = previousSubmissions[previousSubmissions.length - 1];
+  if (latest?.status === 'graded' && !assignment.allowResubmissionAfterGrading) {
+    return 'This assignment has already been graded';
+  }
+  return null;
+};
+
+// Turn a grader's input into the submission's grade fields. With a rubric every
+// criterion must be scored; without one a single score out of maxScore is given.
+export const buildGrade = (assignment, submission, { rubricScores, score, feedback }) => {
+  let rawScore;
+  let scoredRubric = [];
+
+  if (assignment.rubric.length > 0) {
+    const given = new Map(
+      (Array.isArray(rubricScores) ? rubricScores : [])
+        .filter(item => item?.criterionId)
+        .map(item => [String(item.criterionId), item])
+    );
+
+    scoredRubric = assignment.rubric.map(criterion => {
+      const item = given.get(criterion._id.toString());
+      const points = Number(item?.points);
+      if (!item || !Number.isFinite(points) || points < 0 || points > criterion.maxPoints) {
+        throw assignmentError(`Please score "${criterion.criterion}" between 0 and ${criterion.maxPoints}`);
+      }
+      return {
+        criterionId: criterion._id,
+        criterion: criterion.criterion,
+        points,
+        maxPoints: criterion.maxPoints,
+        comment: item.comment
+      };
+    });
+    rawScore = scoredRubric.reduce((total, item) => total + item.points, 0);
+  } else {
+    rawScore = Number(score);
+    if (!Number.isFinite(rawScore) || rawScore < 0 || rawScore > assignment.maxScore) {
+      throw assignmentError(`score must be between 0 and ${assignment.maxScore}`);
+    }
+  }
+
+  const latePenaltyPercent = submission.isLate ? assignment.latePenaltyPercent : 0;
+  const finalScore = Math.round(rawScore * (1 - latePenaltyPercent / 100) * 100) / 100;
+  const percentage = assignment.maxScore === 0
+    ? 100
+    : Math.round((finalScore / assignment.maxScore) * 10000) / 100;
+
+  return {
+    rubricScores: scoredRubric,
+    rawScore,
+    latePenaltyPercent,
+    score: finalScore,
+    maxScore: assignment.maxScore,
+    percentage,
+    passed: percentage >= assignment.passPercentage,
+    feedback
+  };
+};
@@ -0,0 +1,19 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Write an audit record. Never throws: a failed audit write is logged so it
+// can't undo the action it describes.
+export const recordAudit = async ({ action, actor, targetUser, targetEmail, details, req }) => {
+  try {
+    return await AuditLog.create({
+      action,
+      actor,
+      targetUser,
+      targetEmail,
+      details,
+      ipAddress: req?.ip
+    });
+  } catch (error) {
+    console.error(`Error writing audit log for ${action}:`, error);
+    return null;
+  }
+};
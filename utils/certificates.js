@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import Certificate from '../models/Certificate.js';
+import Counter from '../models/Counter.js';
+import User from '../models/User.js';
+import { renderPdf } from './pdf.js';
+
+const getCertificateConfig = () => ({
+  issuerName: process.env.CERTIFICATE_ISSUER_NAME || 'Kiwise EduTech',
+  prefix: process.env.CERTIFICATE_PREFIX || 'KWC',
+  storageDir: path.resolve(process.env.CERTIFICATE_STORAGE_DIR || 'storage/certificates'),
+  verifyBaseUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/certificates/verify`
+});
+
+const getSigningSecret = () => {
+  const secret = process.env.CERTIFICATE_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('Certificate signing secret is not configured. Please set CERTIFICATE_SIGNING_SECRET in the environment.');
+  }
+  return secret;
+};
+
+// HMAC over everything the certificate asserts
+const signCertificate = ({ serialNumber, user, recipientName, course, courseTitle, completedAt, issuedAt }) =>
+  crypto
+    .createHmac('sha256', getSigningSecret())
+    .update([
+      serialNumber,
+      user.toString(),
+      recipientName,
+      course.toString(),
+      courseTitle,
+      new Date(completedAt).toISOString(),
+      new Date(issuedAt).toISOString()
+    ].join('|'))
+    .digest('base64url')
+    .slice(0, 24);
+
+export const isCertificateAuthentic = (certificate) => {
+  const expected = Buffer.from(signCertificate(certificate));
+  const actual = Buffer.from(certificate.verificationCode);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+export const getCertificatePath = (certificate) =>
+  path.join(getCertificateConfig().storageDir, `${certificate.serialNumber}.pdf`);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'long',
+  year: 'numeric'
+});
+
+const renderCertificate = (certificate, filePath) => {
+  const config = getCertificateConfig();
+
+  return renderPdf(filePath, (doc) => {
+    const { width, height } = doc.page;
+    doc.lineWidth(3).rect(20, 20, width - 40, height - 40).stroke();
+
+    doc.moveDown(3);
+    doc.fontSize(30).text('Certificate of Completion', { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(13).text('This is to certify that', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(24).text(certificate.recipientName, { align: 'center' });
+    doc.font('Helvetica').moveDown(0.5);
+    doc.fontSize(13).text('has successfully completed the course', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(18).text(certificate.courseTitle, { align: 'center' });
+    doc.font('Helvetica').moveDown(0.5);
+    if (certificate.instructor) {
+      doc.fontSize(11).text(`Instructor: ${certificate.instructor}`, { align: 'center' });
+    }
+    doc.fontSize(11).text(`Completed on ${formatDate(certificate.completedAt)}`, { align: 'center' });
+
+    doc.moveDown(2);
+    doc.fontSize(12).text(config.issuerName, { align: 'center' });
+
+    doc.fontSize(9).text(
+      `Serial No: ${certificate.serialNumber}    Verification code: ${certificate.verificationCode}`,
+      40,
+      height - 90,
+      { align: 'center', width: width - 80 }
+    );
+    doc.text(`Verify at ${config.verifyBaseUrl}/${certificate.verificationCode}`, { align: 'center', width: width - 80 });
+  }, { layout: 'landscape' });
+};
+
+// Make sure a certificate's PDF exists on disk and return its path
+export const ensureCertificatePdf = async (certificate) => {
+  const filePath = getCertificatePath(certificate);
+  if (!fs.existsSync(filePath)) {
+    await renderCertificate(certificate, filePath);
+  }
+  return filePath;
+};
+
+// Issue the completion certificate for a course (once per student) and record
+// it in studentDetails.certificates. Returns the certificate, or null when the
+// course doesn't include one.
+export const issueCourseCertificate = async (user, course, completedAt = new Date()) => {
+  if (!course.certificateIncluded) {
+    return null;
+  }
+
+  const existing = await Certificate.findOne({ user: user._id, course: course._id });
+  if (existing) {
+    return existing;
+  }
+
+  const issuedAt = new Date();
+  const seq = await Counter.next(`certificate-${issuedAt.getFullYear()}`);
+  const details = {
+    serialNumber: `${getCertificateConfig().prefix}-${issuedAt.getFullYear()}-${String(seq).padStart(6, '0')}`,
+    user: user._id,
+    recipientName: user.name,
+    course: course._id,
+    courseTitle: course.title,
+    instructor: course.instructor,
+    completedAt,
+    issuedAt
+  };
+
+  let certificate;
+  try {
+    certificate = await Certificate.create({ ...details, verificationCode: signCertificate(details) });
+  } catch (error) {
+    // A concurrent completion issued it first
+    if (error.code === 11000) {
+      return Certificate.findOne({ user: user._id, course: course._id });
+    }
+    throw error;
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $push: {
+        'studentDetails.certificates': {
+          courseId: course._id,
+          courseName: course.title,
+          issueDate: issuedAt,
+          certificateUrl: `/api/certificates/${certificate._id}/download`
+        }
+      }
+    }
+  );
+
+  await ensureCertificatePdf(certificate);
+
+  return certificate;
+};
@@ -0,0 +1,151 @@
+import Coupon from '../models/Coupon.js';
+import Payment from '../models/Payment.js';
+
+const couponError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const isItemInScope = (coupon, item) => {
+  const itemTypes = coupon.scope?.itemTypes || [];
+  const courses = coupon.scope?.courses || [];
+
+  if (itemTypes.length === 0 && courses.length === 0) {
+    return true;
+  }
+
+  if (itemTypes.includes(item.itemType)) {
+    return true;
+  }
+
+  return item.itemType === 'course' && courses.some(id => id.toString() === item.itemId.toString());
+};
+
+// Check that a coupon can be used by this user on this order
+const assertCouponUsable = async (coupon, userId, subtotal) => {
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    throw couponError('Invalid coupon code');
+  }
+
+  if (coupon.validFrom && coupon.validFrom > now) {
+    throw couponError('This coupon is not active yet');
+  }
+
+  if (coupon.validUntil && coupon.validUntil < now) {
+    throw couponError('This coupon has expired');
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('This coupon has reached its usage limit');
+  }
+
+  if (subtotal < coupon.minOrderValue) {
+    throw couponError(`This coupon requires a minimum order value of ${coupon.minOrderValue}`);
+  }
+
+  if (coupon.usageLimitPerUser) {
+    // Only completed payments count as a use, so abandoned checkouts don't
+    // use up the user's allowance
+    const userUses = (coupon.redemptions || [])
+      .filter(redemption => redemption.user?.toString() === userId.toString())
+      .length;
+
+    if (userUses >= coupon.usageLimitPerUser) {
+      throw couponError('You have already used this coupon the maximum number of times');
+    }
+  }
+};
+
+// Apply a coupon code to an order priced by priceOrderItems. The discount is
+// spread across in-scope items in proportion to their line totals so each
+// line carries its own discount. Throws an error with statusCode 400 when the
+// coupon cannot be used.
+export const applyCoupon = async (pricing, code, userId) => {
+  const normalizedCode = typeof code === 'string' ? code.trim().toUpperCase() : '';
+
+  if (!normalizedCode) {
+    throw couponError('Please provide a coupon code');
+  }
+
+  const coupon = await Coupon.findOne({ code: normalizedCode });
+
+  await assertCouponUsable(coupon, userId, pricing.subtotal);
+
+  const eligibleItems = pricing.items.filter(item => isItemInScope(coupon, item));
+  const eligibleTotal = eligibleItems.reduce((sum, item) => sum + item.lineTotal, 0);
+
+  if (eligibleTotal <= 0) {
+    throw couponError('This coupon does not apply to any item in your order');
+  }
+
+  let discount = coupon.discountType === 'percentage'
+    ? eligibleTotal * coupon.discountValue / 100
+    : coupon.discountValue;
+
+  if (coupon.discountType === 'percentage' && coupon.maxDiscountAmount) {
+    discount = Math.min(discount, coupon.maxDiscountAmount);
+  }
+
+  discount = roundAmount(Math.min(discount, eligibleTotal));
+
+  // Allocate the discount per line, giving any rounding remainder to the last line
+  let allocated = 0;
+  const items = pricing.items.map(item => ({ ...item, discount: 0 }));
+  const eligibleLines = items.filter(item => isItemInScope(coupon, item));
+
+  eligibleLines.forEach((item, index) => {
+    item.discount = index === eligibleLines.length - 1
+      ? roundAmount(discount - allocated)
+      : roundAmount(discount * item.lineTotal / eligibleTotal);
+    allocated = roundAmount(allocated + item.discount);
+  });
+
+  return {
+    ...pricing,
+    items,
+    discount,
+    total: roundAmount(pricing.subtotal - discount),
+    coupon: {
+      couponId: coupon._id,
+      code: coupon.code,
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue,
+      discountAmount: discount
+    }
+  };
+};
+
+// Count a coupon use once the payment carrying it has completed; checkouts
+// that are abandoned or fail never count. The caps are checked when the
+// order is created, so checkouts racing for a coupon's last use can each
+// complete; the money has been taken by then, so every completed payment is
+// counted. The payment is claimed first so the verify call and the webhook
+// can't both count it.
+export const recordCouponUsage = async (payment) => {
+  if (!payment.coupon?.couponId) {
+    return false;
+  }
+
+  const claimed = await Payment.updateOne(
+    { _id: payment._id, 'coupon.couponId': { $exists: true }, 'coupon.usageCounted': { $ne: true } },
+    { $set: { 'coupon.usageCounted': true } }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+
+  await Coupon.updateOne(
+    { _id: payment.coupon.couponId },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { user: payment.user, payment: payment._id, redeemedAt: new Date() } }
+    }
+  );
+  return true;
+};
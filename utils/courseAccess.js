@@ -0,0 +1,87 @@
+import Course from '../models/Course.js';
+
+// Projection that keeps lesson payloads out of course listings and details
+export const LESSON_CONTENT_PROJECTION = '-curriculum.lessons.content';
+
+// The user's enrollment in a course, unless they dropped it
+export const getActiveEnrollment = (user, courseId) => {
+  if (!user || user.role !== 'student') {
+    return null;
+  }
+  return (user.studentDetails?.enrolledCourses || []).find(enrollment =>
+    enrollment.courseId?.toString() === courseId.toString() && enrollment.status !== 'dropped'
+  ) || null;
+};
+
+export const isCourseOwner = (user, course) =>
+  Boolean(user && course.createdBy && course.createdBy.toString() === user._id.toString());
+
+// The course's author and admins who manage courses
+export const canManageCourse = (user, course) =>
+  Boolean(user && (user.hasPermission('manage_courses') || isCourseOwner(user, course)));
+
+// Whether the user may see locked course content: enrolled students, the
+// course's author and admins who manage courses
+export const canAccessCourseContent = (user, course) =>
+  Boolean(
+    user && (
+      user.hasPermission('manage_courses') ||
+      isCourseOwner(user, course) ||
+      getActiveEnrollment(user, course._id)
+    )
+  );
+
+// Lessons in curriculum order, each with its section
+export const listLessons = (course) =>
+  (course.curriculum || []).flatMap(section =>
+    section.lessons.map(lesson => ({ section, lesson }))
+  );
+
+export const findLesson = (course, lessonId) => {
+  const lessons = listLessons(course);
+  const index = lessons.findIndex(({ lesson }) => lesson._id.toString() === lessonId.toString());
+  if (index === -1) {
+    return null;
+  }
+  return {
+    ...lessons[index],
+    previousLessonId: index > 0 ? lessons[index - 1].lesson._id : null,
+    nextLessonId: index < lessons.length - 1 ? lessons[index + 1].lesson._id : null
+  };
+};
+
+const accessError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Load the course and lesson named in the route (:id, :lessonId) for the
+// enrolled student or course manager making the request. Throws errors with a
+// statusCode; `manage` restricts to the author and admins.
+export const loadCourseLesson = async (req, { lessonType, manage = false } = {}) => {
+  const course = await Course.findById(req.params.id)
+    .select('title instructor certificateIncluded curriculum isPublished isActive createdBy');
+
+  if (!course) {
+    throw accessError(404, 'Course not found');
+  }
+
+  const isManager = canManageCourse(req.user, course);
+  if (manage && !isManager) {
+    throw accessError(403, 'Not authorized to manage this course');
+  }
+  if (!isManager && !getActiveEnrollment(req.user, course._id)) {
+    throw accessError(403, 'You are not enrolled in this course');
+  }
+
+  const found = findLesson(course, req.params.lessonId);
+  if (!found) {
+    throw accessError(404, 'Lesson not found');
+  }
+  if (lessonType && found.lesson.lessonType !== lessonType) {
+    throw accessError(400, `This lesson is not a${lessonType === 'assignment' ? 'n' : ''} ${lessonType}`);
+  }
+
+  return { course, lesson: found.lesson, isManager };
+};
@@ -0,0 +1,259 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { listLessons } from './courseAccess.js';
+import { issueCourseCertificate } from './certificates.js';
+
+const findEnrollment = (user, courseId) =>
+  (user.studentDetails?.enrolledCourses || []).find(enrollment =>
+    enrollment.courseId?.toString() === courseId.toString() && enrollment.status !== 'dropped'
+  );
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+const ENROLLMENTS = 'studentDetails.enrolledCourses';
+
+// Array filter for the student's active enrollment in a course
+const enrollmentArrayFilter = (courseId) => ({
+  'enrollment.courseId': courseId,
+  'enrollment.status': { $ne: 'dropped' }
+});
+
+// Add an empty progress entry for the lesson unless the enrollment already has one
+const ensureLessonEntry = (userId, courseId, lessonId) =>
+  User.updateOne(
+    {
+      _id: userId,
+      [ENROLLMENTS]: {
+        $elemMatch: { courseId, status: { $ne: 'dropped' }, 'lessonProgress.lessonId': { $ne: lessonId } }
+      }
+    },
+    { $push: { [`${ENROLLMENTS}.$[enrollment].lessonProgress`]: { lessonId } } },
+    {
+      arrayFilters: [{
+        ...enrollmentArrayFilter(courseId),
+        'enrollment.lessonProgress.lessonId': { $ne: lessonId }
+      }]
+    }
+  );
+
+// Recompute progress from the lessons currently in the curriculum and the
+// lesson progress as stored, moving the status along
+// enrolled -> in_progress -> completed. Runs as one pipeline update so
+// concurrent lesson updates can't overwrite each other's progress.
+const syncProgress = (userId, course, now) => {
+  const lessonIds = listLessons(course).map(({ lesson }) => lesson._id);
+  const total = lessonIds.length;
+  const isTarget = {
+    $and: [
+      { $eq: ['$$enrollment.courseId', course._id] },
+      { $ne: ['$$enrollment.status', 'dropped'] }
+    ]
+  };
+  const completedCount = {
+    $size: {
+      $filter: {
+        input: { $ifNull: ['$$enrollment.lessonProgress', []] },
+        as: 'item',
+        cond: {
+          $and: [
+            { $gt: ['$$item.completedAt', null] },
+            { $in: ['$$item.lessonId', lessonIds] }
+          ]
+        }
+      }
+    }
+  };
+  const status = {
+    $switch: {
+      branches: [
+        { case: { $and: [{ $gt: [total, 0] }, { $eq: ['$$completed', total] }] }, then: 'completed' },
+        { case: { $or: [{ $gt: ['$$completed', 0] }, { $gt: ['$$enrollment.lastAccessedAt', null] }] }, then: 'in_progress' }
+      ],
+      default: 'enrolled'
+    }
+  };
+
+  return User.findOneAndUpdate(
+    { _id: userId },
+    [{
+      $set: {
+        [ENROLLMENTS]: {
+          $map: {
+            input: `$${ENROLLMENTS}`,
+            as: 'enrollment',
+            in: {
+              $cond: [
+                isTarget,
+                {
+                  $let: {
+                    vars: { completed: completedCount },
+                    in: {
+                      $let: {
+                        vars: { status },
+                        in: {
+                          $mergeObjects: ['$$enrollment', {
+                            progress: total === 0
+                              ? 0
+                              : { $round: [{ $multiply: [{ $divide: ['$$completed', total] }, 100] }, 0] },
+                            status: '$$status',
+                            completedAt: {
+                              $switch: {
+                                branches: [
+                                  {
+                                    case: { $and: [{ $eq: ['$$status', 'completed'] }, { $ne: ['$$enrollment.status', 'completed'] }] },
+                                    then: now
+                                  },
+                                  { case: { $eq: ['$$status', 'in_progress'] }, then: null }
+                                ],
+                                default: '$$enrollment.completedAt'
+                              }
+                            }
+                          }]
+                        }
+                      }
+                    }
+                  }
+                },
+                '$$enrollment'
+              ]
+            }
+          }
+        }
+      }
+    }],
+    { new: true }
+  );
+};
+
+// Write the lesson's progress fields in place, matching the enrollment by
+// course rather than by its position in the array. Returns the user with
+// recomputed progress, or null when the student has no active enrollment.
+const updateLessonProgress = async (userId, course, lessonId, lessonUpdate) => {
+  const now = new Date();
+  const enrollmentPath = `${ENROLLMENTS}.$[enrollment]`;
+  const update = {
+    $set: {
+      [`${enrollmentPath}.lessonProgress.$[lesson].lastAccessedAt`]: now,
+      [`${enrollmentPath}.lastAccessedLessonId`]: lessonId,
+      [`${enrollmentPath}.lastAccessedAt`]: now
+    }
+  };
+  const arrayFilters = [enrollmentArrayFilter(course._id), { 'lesson.lessonId': lessonId }];
+
+  if (lessonUpdate === 'complete') {
+    // Keep the original completion time when a lesson is completed again
+    update.$set[`${enrollmentPath}.lessonProgress.$[pending].completedAt`] = now;
+    arrayFilters.push({ 'pending.lessonId': lessonId, 'pending.completedAt': null });
+  } else if (lessonUpdate === 'uncomplete') {
+    update.$unset = { [`${enrollmentPath}.lessonProgress.$[lesson].completedAt`]: '' };
+  }
+
+  await ensureLessonEntry(userId, course._id, lessonId);
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      [ENROLLMENTS]: { $elemMatch: { courseId: course._id, status: { $ne: 'dropped' } } }
+    },
+    update,
+    { arrayFilters }
+  );
+  if (result.matchedCount === 0) {
+    return null;
+  }
+
+  return syncProgress(userId, course, now);
+};
+
+// Summary of a student's progress through a course
+export const buildProgressSummary = (course, enrollment) => {
+  const entries = new Map(enrollment.lessonProgress.map(item => [item.lessonId.toString(), item]));
+  const lessons = listLessons(course).map(({ section, lesson }) => {
+    const entry = entries.get(lesson._id.toString());
+    return {
+      lessonId: lesson._id,
+      lessonTitle: lesson.lessonTitle,
+      lessonType: lesson.lessonType,
+      sectionId: section._id,
+      sectionTitle: section.sectionTitle,
+      completed: Boolean(entry?.completedAt),
+      completedAt: entry?.completedAt,
+      lastAccessedAt: entry?.lastAccessedAt
+    };
+  });
+
+  return {
+    courseId: course._id,
+    status: enrollment.status,
+    progress: enrollment.progress,
+    completedLessons: lessons.filter(lesson => lesson.completed).length,
+    totalLessons: lessons.length,
+    lastAccessedLessonId: enrollment.lastAccessedLessonId,
+    lastAccessedAt: enrollment.lastAccessedAt,
+    completedAt: enrollment.completedAt,
+    lessons
+  };
+};
+
+// Remember that a student opened a lesson. Returns false when the student
+// has no active enrollment in the course.
+export const recordLessonAccess = async (userId, course, lessonId) => {
+  const user = await updateLessonProgress(userId, course, toObjectId(lessonId), 'access');
+  return Boolean(user);
+};
+
+// Mark a lesson complete (or not). Returns the updated enrollment and, once
+// the course is completed, its certificate; null when the student has no
+// active enrollment in the course.
+export const setLessonCompletion = async (userId, course, lessonId, completed) => {
+  const user = await updateLessonProgress(
+    userId, course, toObjectId(lessonId), completed ? 'complete' : 'uncomplete'
+  );
+  const enrollment = user && findEnrollment(user, course._id);
+  if (!enrollment) {
+    return null;
+  }
+
+  let certificate = null;
+  if (enrollment.status === 'completed') {
+    try {
+      certificate = await issueCourseCertificate(user, course, enrollment.completedAt);
+    } catch (error) {
+      // Completion stands; the certificate is issued again on the next completion call
+      console.error(`Error issuing certificate for course ${course._id}:`, error);
+    }
+  }
+
+  return { enrollment, certificate };
+};
+
+export const getEnrollmentForCourse = async (userId, courseId) => {
+  const user = await User.findById(userId);
+  return user ? findEnrollment(user, courseId) || null : null;
+};
+
+// Where a student should pick up: the last lesson they opened if they haven't
+// finished it, otherwise the first unfinished lesson after it (wrapping round)
+export const findContinueLesson = (course, enrollment) => {
+  const lessons = listLessons(course);
+  const completedIds = new Set(
+    enrollment.lessonProgress.filter(item => item.completedAt).map(item => item.lessonId.toString())
+  );
+
+  let startIndex = 0;
+  if (enrollment.lastAccessedLessonId) {
+    const lastIndex = lessons.findIndex(({ lesson }) =>
+      lesson._id.toString() === enrollment.lastAccessedLessonId.toString()
+    );
+    if (lastIndex !== -1) {
+      startIndex = lastIndex;
+    }
+  }
+
+  for (let offset = 0; offset < lessons.length; offset += 1) {
+    const candidate = lessons[(startIndex + offset) % lessons.length];
+    if (!completedIds.has(candidate.lesson._id.toString())) {
+      return candidate;
+    }
+  }
+  return null;
+};
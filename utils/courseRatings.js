@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import Course from '../models/Course.js';
+import Review from '../models/Review.js';
+
+// Recompute a course's rating from its published reviews. Every review write
+// calls this rather than applying a delta, so an update that was missed or
+// raced with another one is corrected by the next; courses without reviews
+// drop any rating that predates reviews.
+export const recomputeCourseRating = async (courseId) => {
+  const [totals] = await Review.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(courseId), status: 'published' } },
+    { $group: { _id: null, reviewCount: { $sum: 1 }, ratingTotal: { $sum: '$rating' } } }
+  ]);
+  const reviewCount = totals?.reviewCount || 0;
+  const ratingTotal = totals?.ratingTotal || 0;
+
+  return Course.updateOne({ _id: courseId }, {
+    $set: {
+      reviewCount,
+      ratingTotal,
+      rating: reviewCount > 0 ? Math.round((ratingTotal / reviewCount) * 100) / 100 : 0
+    }
+  });
+};
+
+// Number of published reviews per star rating
+export const getRatingDistribution = async (courseId) => {
+  const counts = await Review.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(courseId), status: 'published' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  counts.forEach(({ _id, count }) => {
+    distribution[_id] = count;
+  });
+  return distribution;
+};
@@ -1,30 +1,51 @@
 import jwt from 'jsonwebtoken';
 
-const DEFAULT_EXPIRY = '7d';
+const DEFAULT_EXPIRY = '15m';
 
-export const generateToken = (userId) => {
+// Short-lived access token tied to a server-side session (see utils/sessions.js)
+export const generateToken = (userId, sessionId) => {
   const secret = process.env.JWT_SECRET;
 
   if (!secret) {
     throw new Error('JWT secret is not configured. Please set JWT_SECRET in the environment.');
   }
 
-  const configuredExpiry = process.env.JWT_EXPIRE ? process.env.JWT_EXPIRE.trim() : '';
+  const configuredExpiry = process.env.JWT_ACCESS_EXPIRE ? process.env.JWT_ACCESS_EXPIRE.trim() : '';
   const expiresIn = configuredExpiry || DEFAULT_EXPIRY;
+  const payload = { userId, sid: sessionId };
 
   try {
-    return jwt.sign({ userId }, secret, { expiresIn });
+    return jwt.sign(payload, secret, { expiresIn });
   } catch (error) {
     if (error?.message?.includes('expiresIn')) {
-      console.warn(`Invalid JWT_EXPIRE value "${configuredExpiry}". Falling back to ${DEFAULT_EXPIRY}.`);
-      return jwt.sign({ userId }, secret, { expiresIn: DEFAULT_EXPIRY });
+      console.warn(`Invalid JWT_ACCESS_EXPIRE value "${configuredExpiry}". Falling back to ${DEFAULT_EXPIRY}.`);
+      return jwt.sign(payload, secret, { expiresIn: DEFAULT_EXPIRY });
     }
 
     throw error;
   }
 };
 
+// Proves the password step of a login for accounts with two-factor
+// authentication; exchanged for real tokens at POST /api/auth/2fa/verify
+export const generateTwoFactorChallengeToken = (userId) => {
+  const secret = process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('JWT secret is not configured. Please set JWT_SECRET in the environment.');
+  }
+
+  return jwt.sign({ userId, purpose: '2fa_challenge' }, secret, { expiresIn: '5m' });
+};
+
+export const verifyTwoFactorChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== '2fa_challenge') {
+    throw new Error('Invalid challenge token');
+  }
+  return decoded;
+};
+
 export const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
-
@@ -0,0 +1,146 @@
+import User from '../models/User.js';
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import Assignment from '../models/Assignment.js';
+import AssignmentSubmission from '../models/AssignmentSubmission.js';
+import { listLessons } from './courseAccess.js';
+
+// Graded lessons in curriculum order: quiz and assignment lessons that have been set up
+const buildGradebookItems = async (course) => {
+  const [quizzes, assignments] = await Promise.all([
+    Quiz.find({ course: course._id }).select('lessonId title passPercentage maxAttempts questions.points'),
+    Assignment.find({ course: course._id }).select('lessonId title dueAt maxScore passPercentage')
+  ]);
+  const quizByLesson = new Map(quizzes.map(quiz => [quiz.lessonId.toString(), quiz]));
+  const assignmentByLesson = new Map(assignments.map(assignment => [assignment.lessonId.toString(), assignment]));
+
+  return listLessons(course).flatMap(({ section, lesson }) => {
+    const key = lesson._id.toString();
+    const base = {
+      lessonId: lesson._id,
+      lessonTitle: lesson.lessonTitle,
+      sectionTitle: section.sectionTitle
+    };
+
+    if (lesson.lessonType === 'quiz' && quizByLesson.has(key)) {
+      const quiz = quizByLesson.get(key);
+      return [{
+        ...base,
+        type: 'quiz',
+        itemId: quiz._id,
+        title: quiz.title,
+        maxScore: quiz.questions.reduce((total, question) => total + question.points, 0),
+        passPercentage: quiz.passPercentage
+      }];
+    }
+    if (lesson.lessonType === 'assignment' && assignmentByLesson.has(key)) {
+      const assignment = assignmentByLesson.get(key);
+      return [{
+        ...base,
+        type: 'assignment',
+        itemId: assignment._id,
+        title: assignment.title,
+        dueAt: assignment.dueAt,
+        maxScore: assignment.maxScore,
+        passPercentage: assignment.passPercentage
+      }];
+    }
+    return [];
+  });
+};
+
+const quizGrade = (attempts) => {
+  const graded = attempts.filter(attempt => ['graded', 'expired'].includes(attempt.status));
+  const best = graded.reduce((top, attempt) => (!top || attempt.percentage > top.percentage ? attempt : top), null);
+  return {
+    status: best ? 'graded' : (attempts.length ? 'pending_review' : 'not_attempted'),
+    attempts: attempts.length,
+    score: best?.score,
+    percentage: best?.percentage,
+    passed: graded.some(attempt => attempt.passed)
+  };
+};
+
+const assignmentGrade = (submission) => {
+  if (!submission) {
+    return { status: 'not_submitted' };
+  }
+  return {
+    status: submission.status,
+    submissionId: submission._id,
+    submittedAt: submission.submittedAt,
+    isLate: submission.isLate,
+    score: submission.score,
+    percentage: submission.percentage,
+    passed: submission.passed
+  };
+};
+
+// Grades of enrolled students (one page of them) across the course's quizzes and assignments
+export const buildGradebook = async (course, { page = 1, limit = 50 } = {}) => {
+  const enrolledQuery = {
+    role: 'student',
+    'studentDetails.enrolledCourses': {
+      $elemMatch: { courseId: course._id, status: { $ne: 'dropped' } }
+    }
+  };
+  const skip = (page - 1) * limit;
+
+  const [items, students, total] = await Promise.all([
+    buildGradebookItems(course),
+    User.find(enrolledQuery)
+      .select('name email studentDetails.enrolledCourses')
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit),
+    User.countDocuments(enrolledQuery)
+  ]);
+
+  const studentIds = students.map(student => student._id);
+  const [attempts, submissions] = await Promise.all([
+    QuizAttempt.find({ course: course._id, user: { $in: studentIds }, status: { $ne: 'in_progress' } })
+      .select('quiz user status score percentage passed'),
+    AssignmentSubmission.find({ course: course._id, user: { $in: studentIds }, status: { $ne: 'superseded' } })
+      .select('assignment user status submittedAt isLate score percentage passed')
+  ]);
+
+  const rows = students.map(student => {
+    const userId = student._id.toString();
+    const enrollment = student.studentDetails.enrolledCourses.find(entry =>
+      entry.courseId?.toString() === course._id.toString()
+    );
+
+    const grades = items.map(item => {
+      const itemId = item.itemId.toString();
+      const grade = item.type === 'quiz'
+        ? quizGrade(attempts.filter(attempt => attempt.user.toString() === userId && attempt.quiz.toString() === itemId))
+        : assignmentGrade(submissions.find(submission =>
+          submission.user.toString() === userId && submission.assignment.toString() === itemId
+        ));
+      return { lessonId: item.lessonId, type: item.type, ...grade };
+    });
+
+    const graded = grades.filter(grade => grade.status === 'graded');
+    return {
+      student: { _id: student._id, name: student.name, email: student.email },
+      enrollmentStatus: enrollment?.status,
+      progress: enrollment?.progress || 0,
+      grades,
+      gradedCount: graded.length,
+      averagePercentage: graded.length
+        ? Math.round((graded.reduce((sum, grade) => sum + grade.percentage, 0) / graded.length) * 100) / 100
+        : null
+    };
+  });
+
+  return {
+    items,
+    students: rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
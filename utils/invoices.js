@@ -0,0 +1,337 @@
+import fs from 'fs';
+import path from 'path';
+import Payment from '../models/Payment.js';
+import Counter from '../models/Counter.js';
+import { renderPdf } from './pdf.js';
+
+const INVOICEABLE_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const getInvoiceConfig = () => ({
+  sellerName: process.env.INVOICE_SELLER_NAME || 'Kiwise EduTech',
+  sellerAddress: process.env.INVOICE_SELLER_ADDRESS || '',
+  sellerState: process.env.INVOICE_SELLER_STATE || '',
+  sellerGstin: process.env.INVOICE_SELLER_GSTIN || '',
+  gstRate: parseFloat(process.env.INVOICE_GST_RATE || '18'),
+  sacCode: process.env.INVOICE_SAC_CODE || '999293',
+  invoicePrefix: process.env.INVOICE_PREFIX || 'INV',
+  creditNotePrefix: process.env.CREDIT_NOTE_PREFIX || 'CN',
+  storageDir: path.resolve(process.env.INVOICE_STORAGE_DIR || 'storage/invoices')
+});
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Indian financial year (April to March) a date falls in, e.g. "2026-27"
+const getFinancialYear = (date) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+// Take the next number of a document series for one payment or refund and
+// record it with `record(number)`, a conditional update that does nothing if
+// the document was numbered meanwhile. A number is only given up once it is
+// recorded, so a crash or failed write is retried with the same number and
+// the series has no gaps.
+const assignDocumentNumber = async (prefix, counterName, date, owner, record) => {
+  const financialYear = getFinancialYear(date);
+  const name = `${counterName}-${financialYear}`;
+  const seq = await Counter.allocate(name, owner);
+
+  if (seq !== null) {
+    await record(`${prefix}/${financialYear}/${String(seq).padStart(5, '0')}`);
+    await Counter.release(name, owner);
+  }
+};
+
+const getDocumentPath = (number) =>
+  path.join(getInvoiceConfig().storageDir, `${number.replace(/[^A-Za-z0-9-]/g, '-')}.pdf`);
+
+// Supplies to a buyer in another state attract IGST, otherwise CGST + SGST.
+// Without a buyer state the place of supply defaults to the seller's state.
+const isInterStateSupply = (payment, config) => {
+  const buyerState = payment.billingAddress?.state?.trim().toLowerCase();
+  const sellerState = config.sellerState.trim().toLowerCase();
+  return Boolean(buyerState && sellerState && buyerState !== sellerState);
+};
+
+// Split a GST-inclusive amount into taxable value and tax components
+const splitTax = (inclusiveAmount, rate, interState) => {
+  const taxableValue = roundAmount(inclusiveAmount / (1 + rate / 100));
+  const tax = roundAmount(inclusiveAmount - taxableValue);
+
+  if (interState) {
+    return { taxableValue, cgst: 0, sgst: 0, igst: tax, total: roundAmount(inclusiveAmount) };
+  }
+
+  const cgst = roundAmount(tax / 2);
+  return { taxableValue, cgst, sgst: roundAmount(tax - cgst), igst: 0, total: roundAmount(inclusiveAmount) };
+};
+
+// Line items with tax computed from the amounts actually charged.
+// Prices are GST-inclusive, so tax is carved out of each line's net amount.
+export const buildInvoiceLines = (payment) => {
+  const config = getInvoiceConfig();
+  const interState = isInterStateSupply(payment, config);
+
+  const lines = payment.items.map(item => {
+    const quantity = item.quantity || 1;
+    const gross = item.lineTotal ?? roundAmount(item.price * quantity);
+    const discount = item.discount || 0;
+    return {
+      description: item.itemName,
+      itemType: item.itemType,
+      quantity,
+      rate: item.price,
+      discount,
+      ...splitTax(roundAmount(gross - discount), config.gstRate, interState)
+    };
+  });
+
+  const sum = (key) => roundAmount(lines.reduce((total, line) => total + line[key], 0));
+
+  return {
+    lines,
+    interState,
+    gstRate: config.gstRate,
+    totals: {
+      discount: sum('discount'),
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      total: sum('total')
+    }
+  };
+};
+
+const formatMoney = (value) => Number(value || 0).toFixed(2);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const writeHeader = (doc, title, config) => {
+  doc.fontSize(18).text(title, { align: 'center' }).moveDown();
+  doc.fontSize(11).text(config.sellerName);
+  doc.fontSize(9);
+  if (config.sellerAddress) doc.text(config.sellerAddress);
+  if (config.sellerState) doc.text(`State: ${config.sellerState}`);
+  if (config.sellerGstin) doc.text(`GSTIN: ${config.sellerGstin}`);
+  doc.moveDown();
+};
+
+const writeBuyer = (doc, payment) => {
+  const billing = payment.billingAddress || {};
+  doc.fontSize(10).text('Bill To:', { underline: true });
+  doc.fontSize(9).text(billing.name || payment.userName);
+  doc.text(billing.email || payment.userEmail);
+  if (billing.phone) doc.text(billing.phone);
+  const addressLine = [billing.address, billing.city, billing.state, billing.zipCode, billing.country]
+    .filter(Boolean)
+    .join(', ');
+  if (addressLine) doc.text(addressLine);
+  doc.moveDown();
+};
+
+const writeTable = (doc, rows) => {
+  const columns = [30, 150, 45, 30, 55, 55, 60, 50, 50];
+  const startX = doc.page.margins.left;
+
+  rows.forEach((row, index) => {
+    const y = doc.y;
+    let x = startX;
+    doc.fontSize(8).font(index === 0 ? 'Helvetica-Bold' : 'Helvetica');
+    row.forEach((cell, column) => {
+      doc.text(String(cell), x, y, { width: columns[column] - 4 });
+      x += columns[column];
+    });
+    doc.moveDown(0.5);
+    doc.x = startX;
+  });
+  doc.font('Helvetica').moveDown();
+};
+
+const renderInvoice = (payment, filePath) => {
+  const config = getInvoiceConfig();
+  const { lines, interState, gstRate, totals } = buildInvoiceLines(payment);
+  const taxHeaders = interState ? [`IGST ${gstRate}%`, ''] : [`CGST ${gstRate / 2}%`, `SGST ${gstRate / 2}%`];
+
+  return renderPdf(filePath, (doc) => {
+    writeHeader(doc, 'TAX INVOICE', config);
+
+    doc.fontSize(9)
+      .text(`Invoice No: ${payment.invoiceNumber}`)
+      .text(`Invoice Date: ${formatDate(payment.invoiceDate)}`)
+      .text(`Order ID: ${payment.orderId}`);
+    if (payment.transactionId) doc.text(`Transaction ID: ${payment.transactionId}`);
+    doc.text(`Place of Supply: ${payment.billingAddress?.state || config.sellerState || 'N/A'}`);
+    doc.moveDown();
+
+    writeBuyer(doc, payment);
+
+    writeTable(doc, [
+      ['#', 'Description', 'SAC', 'Qty', 'Rate', 'Discount', 'Taxable', ...taxHeaders],
+      ...lines.map((line, index) => [
+        index + 1,
+        line.description,
+        config.sacCode,
+        line.quantity,
+        formatMoney(line.rate),
+        formatMoney(line.discount),
+        formatMoney(line.taxableValue),
+        ...(interState ? [formatMoney(line.igst), ''] : [formatMoney(line.cgst), formatMoney(line.sgst)])
+      ])
+    ]);
+
+    doc.fontSize(9).text(`Taxable Value: ${payment.currency} ${formatMoney(totals.taxableValue)}`, { align: 'right' });
+    if (interState) {
+      doc.text(`IGST: ${payment.currency} ${formatMoney(totals.igst)}`, { align: 'right' });
+    } else {
+      doc.text(`CGST: ${payment.currency} ${formatMoney(totals.cgst)}`, { align: 'right' });
+      doc.text(`SGST: ${payment.currency} ${formatMoney(totals.sgst)}`, { align: 'right' });
+    }
+    doc.fontSize(11).text(`Total: ${payment.currency} ${formatMoney(totals.total)}`, { align: 'right' });
+
+    doc.moveDown(2).fontSize(8).text('This is a computer generated invoice and does not require a signature.', { align: 'center' });
+  });
+};
+
+const renderCreditNote = (payment, refund, filePath) => {
+  const config = getInvoiceConfig();
+  const interState = isInterStateSupply(payment, config);
+  const tax = splitTax(refund.amount, config.gstRate, interState);
+
+  return renderPdf(filePath, (doc) => {
+    writeHeader(doc, 'CREDIT NOTE', config);
+
+    doc.fontSize(9)
+      .text(`Credit Note No: ${refund.creditNoteNumber}`)
+      .text(`Credit Note Date: ${formatDate(refund.creditNoteDate)}`)
+      .text(`Against Invoice: ${payment.invoiceNumber} dated ${formatDate(payment.invoiceDate)}`)
+      .text(`Order ID: ${payment.orderId}`);
+    if (refund.refundId) doc.text(`Refund ID: ${refund.refundId}`);
+    doc.text(`Reason: ${refund.reason || 'Refund'}`);
+    doc.moveDown();
+
+    writeBuyer(doc, payment);
+
+    doc.fontSize(9).text(`Taxable Value: ${payment.currency} ${formatMoney(tax.taxableValue)}`, { align: 'right' });
+    if (interState) {
+      doc.text(`IGST ${config.gstRate}%: ${payment.currency} ${formatMoney(tax.igst)}`, { align: 'right' });
+    } else {
+      doc.text(`CGST ${config.gstRate / 2}%: ${payment.currency} ${formatMoney(tax.cgst)}`, { align: 'right' });
+      doc.text(`SGST ${config.gstRate / 2}%: ${payment.currency} ${formatMoney(tax.sgst)}`, { align: 'right' });
+    }
+    doc.fontSize(11).text(`Total Credit: ${payment.currency} ${formatMoney(tax.total)}`, { align: 'right' });
+
+    doc.moveDown(2).fontSize(8).text('This is a computer generated credit note and does not require a signature.', { align: 'center' });
+  });
+};
+
+// Assign the next invoice number to a completed payment (once) and make sure
+// its PDF exists on disk. Returns the PDF path, or null if the payment isn't
+// invoiceable yet.
+export const ensureInvoice = async (payment) => {
+  if (!INVOICEABLE_STATUSES.includes(payment.paymentStatus)) {
+    return null;
+  }
+
+  let invoiced = payment;
+
+  if (!payment.invoiceNumber) {
+    const invoiceDate = new Date();
+    await assignDocumentNumber(
+      getInvoiceConfig().invoicePrefix,
+      'invoice',
+      invoiceDate,
+      payment._id.toString(),
+      (invoiceNumber) => Payment.updateOne(
+        { _id: payment._id, invoiceNumber: { $exists: false } },
+        { $set: { invoiceNumber, invoiceDate, invoiceUrl: `/api/payments/${payment._id}/invoice` } }
+      )
+    );
+
+    invoiced = await Payment.findById(payment._id);
+    if (!invoiced?.invoiceNumber) {
+      return null;
+    }
+
+    payment.invoiceNumber = invoiced.invoiceNumber;
+    payment.invoiceDate = invoiced.invoiceDate;
+    payment.invoiceUrl = invoiced.invoiceUrl;
+  }
+
+  const filePath = getDocumentPath(invoiced.invoiceNumber);
+  if (!fs.existsSync(filePath)) {
+    await renderInvoice(invoiced, filePath);
+  }
+
+  return filePath;
+};
+
+// Number and render a credit note for a processed refund. Returns the PDF
+// path, or null if the refund isn't processed.
+export const ensureCreditNote = async (payment, refundId) => {
+  await ensureInvoice(payment);
+
+  let current = await Payment.findById(payment._id);
+  let refund = current?.refunds.id(refundId);
+
+  if (!refund || refund.status !== 'processed' || !current.invoiceNumber) {
+    return null;
+  }
+
+  if (!refund.creditNoteNumber) {
+    const creditNoteDate = new Date();
+    await assignDocumentNumber(
+      getInvoiceConfig().creditNotePrefix,
+      'credit-note',
+      creditNoteDate,
+      refund._id.toString(),
+      (creditNoteNumber) => Payment.updateOne(
+        {
+          _id: current._id,
+          refunds: { $elemMatch: { _id: refund._id, creditNoteNumber: { $exists: false } } }
+        },
+        {
+          $set: {
+            'refunds.$.creditNoteNumber': creditNoteNumber,
+            'refunds.$.creditNoteDate': creditNoteDate,
+            'refunds.$.creditNoteUrl': `/api/payments/${current._id}/credit-notes/${refund._id}`
+          }
+        }
+      )
+    );
+
+    current = await Payment.findById(payment._id);
+    refund = current?.refunds.id(refundId);
+    if (!refund?.creditNoteNumber) {
+      return null;
+    }
+  }
+
+  const filePath = getDocumentPath(refund.creditNoteNumber);
+  if (!fs.existsSync(filePath)) {
+    await renderCreditNote(current, refund, filePath);
+  }
+
+  return filePath;
+};
+
+// Issue documents for a payment after it changes state. Failures are logged
+// rather than thrown so they never block payment processing; the download
+// endpoints generate anything missing on demand.
+export const issuePaymentDocuments = async (payment) => {
+  try {
+    await ensureInvoice(payment);
+
+    for (const refund of payment.refunds || []) {
+      if (refund.status === 'processed' && !refund.creditNoteNumber) {
+        await ensureCreditNote(payment, refund._id);
+      }
+    }
+  } catch (error) {
+    console.error(`Error issuing documents for payment ${payment._id}:`, error);
+  }
+};
@@ -0,0 +1,66 @@
+import User from '../models/User.js';
+import { sendEmail, safeHtml } from './mailer.js';
+
+const MAX_FAILED_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const BASE_LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+// Each consecutive lockout doubles the previous one, capped at a day
+const getLockoutDuration = (lockoutCount) =>
+  Math.min(BASE_LOCKOUT_MS * 2 ** Math.max(0, lockoutCount - 1), MAX_LOCKOUT_MS);
+
+const sendLockoutEmail = async (user) => {
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/forgot-password`;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Your Kiwise EduTech account has been temporarily locked',
+    text: `Hi ${user.name},\n\nWe locked your ${user.role} account after several failed sign-in attempts. You can try again after ${user.lockUntil.toUTCString()}.\n\nIf this wasn't you, we recommend resetting your password:\n\n${resetUrl}`,
+    html: safeHtml`<p>Hi ${user.name},</p><p>We locked your ${user.role} account after several failed sign-in attempts. You can try again after ${user.lockUntil.toUTCString()}.</p><p>If this wasn't you, we recommend <a href="${resetUrl}">resetting your password</a>.</p>`
+  });
+};
+
+// Count a failed login. Locks the account once the threshold is reached and
+// notifies the owner. Returns the updated user.
+export const recordFailedLogin = async (user) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < MAX_FAILED_LOGIN_ATTEMPTS) {
+    return updated;
+  }
+
+  // Only the request that crosses the threshold applies the lock
+  const lockoutCount = updated.lockoutCount + 1;
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, failedLoginAttempts: { $gte: MAX_FAILED_LOGIN_ATTEMPTS } },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lockoutCount,
+        lockUntil: new Date(Date.now() + getLockoutDuration(lockoutCount))
+      }
+    },
+    { new: true }
+  );
+
+  if (locked) {
+    try {
+      await sendLockoutEmail(locked);
+    } catch (error) {
+      console.error('Error sending lockout email:', error);
+    }
+  }
+
+  return locked || updated;
+};
+
+// Reset the counters after a successful login (or an admin clearing the lockout)
+export const clearFailedLogins = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+  );
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Mail transports, selected with MAIL_TRANSPORT:
+//   smtp    - deliver through SMTP_HOST/SMTP_PORT (production)
+//   file    - write each message as JSON into MAIL_FILE_DIR (local dev and tests)
+//   console - log each message to stdout (default outside production)
+const transports = {
+  smtp: () => {
+    const smtp = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return (message) => smtp.sendMail(message);
+  },
+  file: () => {
+    const dir = path.resolve(process.env.MAIL_FILE_DIR || 'storage/mail');
+    return async (message) => {
+      fs.mkdirSync(dir, { recursive: true });
+      const filePath = path.join(dir, `${Date.now()}-${message.to.replace(/[^A-Za-z0-9@.-]/g, '_')}.json`);
+      fs.writeFileSync(filePath, JSON.stringify(message, null, 2));
+      return { messageId: path.basename(filePath) };
+    };
+  },
+  console: () => async (message) => {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const defaultTransport = process.env.NODE_ENV === 'production' ? 'smtp' : 'console';
+    const name = process.env.MAIL_TRANSPORT || defaultTransport;
+
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+// Replace the mail transport, e.g. with a stub that captures messages in tests
+export const setMailTransport = (send) => {
+  activeTransport = send;
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Template tag for email bodies: every interpolated value is HTML-escaped
+export const safeHtml = (strings, ...values) =>
+  strings.reduce((result, string, index) =>
+    result + string + (index < values.length ? escapeHtml(values[index]) : ''), '');
+
+// Send an email through the configured transport
+export const sendEmail = async ({ to, subject, text, html }) => {
+  const send = getTransport();
+
+  return send({
+    from: process.env.MAIL_FROM || 'Kiwise EduTech <no-reply@kiwisedutech.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
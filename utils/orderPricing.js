@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import Course from '../models/Course.js';
+import Workshop from '../models/Workshop.js';
+import { getActiveEnrollment } from './courseAccess.js';
+
+const ORDER_CURRENCY = 'INR';
+
+// Item types that can be bought through checkout and the model that prices them
+const PRICED_ITEM_MODELS = {
+  course: Course,
+  workshop: Workshop
+};
+
+const pricingError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Look up every requested item and price it from the catalogue, ignoring any
+// client-supplied price. Throws an error with statusCode 400 for items that
+// don't exist, aren't for sale, are duplicated, or are courses the buyer
+// already owns.
+export const priceOrderItems = async (requestedItems, { user } = {}) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw pricingError('Please provide at least one item');
+  }
+
+  const seen = new Set();
+  const items = [];
+
+  for (const requested of requestedItems) {
+    const { itemType, itemId } = requested || {};
+    const Model = PRICED_ITEM_MODELS[itemType];
+
+    if (!Model) {
+      throw pricingError(`Item type '${itemType}' cannot be purchased online`);
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(itemId)) {
+      throw pricingError(`Invalid itemId for ${itemType}`);
+    }
+
+    const key = `${itemType}:${itemId}`;
+    if (seen.has(key)) {
+      throw pricingError(`Duplicate ${itemType} in order`);
+    }
+    seen.add(key);
+
+    const record = await Model.findById(itemId).select('title price isPublished isActive');
+
+    if (!record || !record.isPublished || !record.isActive) {
+      throw pricingError(`${itemType === 'course' ? 'Course' : 'Workshop'} ${itemId} is not available for purchase`);
+    }
+
+    if (itemType === 'course' && getActiveEnrollment(user, record._id)) {
+      throw pricingError(`You are already enrolled in ${record.title}`);
+    }
+
+    // Courses and workshop seats are per-user, so quantity is always 1
+    const quantity = 1;
+    const price = roundAmount(record.price);
+
+    items.push({
+      itemType,
+      itemId: record._id,
+      itemName: record.title,
+      quantity,
+      price,
+      lineTotal: roundAmount(price * quantity)
+    });
+  }
+
+  const subtotal = roundAmount(items.reduce((sum, item) => sum + item.lineTotal, 0));
+
+  return {
+    items,
+    currency: ORDER_CURRENCY,
+    subtotal,
+    total: subtotal
+  };
+};
@@ -0,0 +1,157 @@
+import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+import Course from '../models/Course.js';
+import { confirmPaidRegistration, cancelRegistration } from './workshopRegistration.js';
+import { recordCouponUsage } from './coupons.js';
+import { issuePaymentDocuments } from './invoices.js';
+
+// Enroll the user in a course, reactivating a previously dropped enrollment.
+// Only increments Course.enrolledCount when the enrollment actually changed.
+const grantCourse = async (userId, courseId) => {
+  const now = new Date();
+
+  const reactivated = await User.updateOne(
+    {
+      _id: userId,
+      'studentDetails.enrolledCourses': { $elemMatch: { courseId, status: 'dropped' } }
+    },
+    {
+      $set: {
+        'studentDetails.enrolledCourses.$.status': 'enrolled',
+        'studentDetails.enrolledCourses.$.enrolledDate': now
+      }
+    }
+  );
+
+  let changed = reactivated.modifiedCount > 0;
+
+  if (!changed) {
+    const added = await User.updateOne(
+      { _id: userId, 'studentDetails.enrolledCourses.courseId': { $ne: courseId } },
+      {
+        $push: {
+          'studentDetails.enrolledCourses': {
+            courseId,
+            enrolledDate: now,
+            progress: 0,
+            status: 'enrolled'
+          }
+        }
+      }
+    );
+    changed = added.modifiedCount > 0;
+  }
+
+  if (changed) {
+    await Course.updateOne({ _id: courseId }, { $inc: { enrolledCount: 1 } });
+  }
+};
+
+// Mark the user's enrollment as dropped and release the enrolled count
+const revokeCourse = async (userId, courseId) => {
+  const dropped = await User.updateOne(
+    {
+      _id: userId,
+      'studentDetails.enrolledCourses': { $elemMatch: { courseId, status: { $ne: 'dropped' } } }
+    },
+    { $set: { 'studentDetails.enrolledCourses.$.status': 'dropped' } }
+  );
+
+  if (dropped.modifiedCount > 0) {
+    await Course.updateOne(
+      { _id: courseId, enrolledCount: { $gt: 0 } },
+      { $inc: { enrolledCount: -1 } }
+    );
+  }
+};
+
+// Grant everything a completed payment paid for. Safe to call from both the
+// verify endpoint and the webhook: the payment is claimed atomically so only
+// one caller performs the grants, and each grant is itself idempotent.
+// Returns false when there was nothing to do.
+export const fulfillPayment = async (payment) => {
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      paymentStatus: { $in: ['completed', 'partially_refunded'] },
+      fulfillmentStatus: { $in: ['pending', 'failed', 'revoked'] }
+    },
+    { $set: { fulfillmentStatus: 'processing' } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return false;
+  }
+
+  try {
+    const buyer = { _id: claimed.user, name: claimed.userName, email: claimed.userEmail };
+
+    for (const item of claimed.items) {
+      if (item.itemType === 'course') {
+        await grantCourse(claimed.user, item.itemId);
+      } else if (item.itemType === 'workshop') {
+        await confirmPaidRegistration(item.itemId, buyer, claimed._id);
+      }
+    }
+
+    await recordCouponUsage(claimed);
+
+    await Payment.updateOne(
+      { _id: claimed._id },
+      { $set: { fulfillmentStatus: 'fulfilled', fulfilledAt: new Date() } }
+    );
+  } catch (error) {
+    await Payment.updateOne({ _id: claimed._id }, { $set: { fulfillmentStatus: 'failed' } });
+    throw new Error(`Error fulfilling payment ${claimed.orderId}: ${error.message}`);
+  }
+
+  payment.fulfillmentStatus = 'fulfilled';
+
+  await issuePaymentDocuments(claimed);
+
+  return true;
+};
+
+// Whether another fulfilled payment of the user also paid for the item, in
+// which case revoking this payment must leave the access in place
+const isCoveredByOtherPayment = (payment, item) =>
+  Payment.exists({
+    _id: { $ne: payment._id },
+    user: payment.user,
+    fulfillmentStatus: 'fulfilled',
+    items: { $elemMatch: { itemType: item.itemType, itemId: item.itemId } }
+  });
+
+// Take back what a payment granted, e.g. after it has been refunded.
+// Returns false when the payment had not been fulfilled.
+export const revokePaymentFulfillment = async (payment) => {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, fulfillmentStatus: 'fulfilled' },
+    { $set: { fulfillmentStatus: 'revoked', revokedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return false;
+  }
+
+  try {
+    for (const item of claimed.items) {
+      if (await isCoveredByOtherPayment(claimed, item)) {
+        continue;
+      }
+      if (item.itemType === 'course') {
+        await revokeCourse(claimed.user, item.itemId);
+      } else if (item.itemType === 'workshop') {
+        await cancelRegistration(item.itemId, claimed.user);
+      }
+    }
+  } catch (error) {
+    await Payment.updateOne({ _id: claimed._id }, { $set: { fulfillmentStatus: 'fulfilled' } });
+    throw new Error(`Error revoking payment ${claimed.orderId}: ${error.message}`);
+  }
+
+  payment.fulfillmentStatus = 'revoked';
+  return true;
+};
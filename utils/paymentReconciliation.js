@@ -0,0 +1,195 @@
+import Payment from '../models/Payment.js';
+import ReconciliationRun from '../models/ReconciliationRun.js';
+import { getOrderDetails, getOrderPayments } from './razorpay.js';
+import { fulfillPayment } from './paymentFulfillment.js';
+import { canTransitionPaymentStatus } from './paymentStatus.js';
+
+const DEFAULT_OLDER_THAN_MINUTES = 30;
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+// Gateway calls used by the reconciler. Pass a replacement to
+// reconcileStalePayments() to run it against a mocked Razorpay client.
+const defaultGateway = {
+  fetchOrder: getOrderDetails,
+  fetchOrderPayments: getOrderPayments
+};
+
+const readMinutes = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+// Work out what a stale payment should become from the gateway's view of its
+// order. Returns null when the payment should be left as it is.
+const resolveGatewayStatus = (order, attempts) => {
+  const captured = attempts.find(attempt => attempt.status === 'captured');
+  if (captured) {
+    return { status: 'completed', attempt: captured, reason: `Payment ${captured.id} captured` };
+  }
+
+  if (order.status === 'paid') {
+    return { status: 'completed', attempt: null, reason: 'Order marked paid by gateway' };
+  }
+
+  const authorized = attempts.find(attempt => attempt.status === 'authorized');
+  if (authorized) {
+    return { status: 'processing', attempt: authorized, reason: `Payment ${authorized.id} authorized but not captured` };
+  }
+
+  if (attempts.length > 0 && attempts.every(attempt => attempt.status === 'failed')) {
+    const last = attempts[0];
+    return { status: 'failed', attempt: last, reason: last.error_description || 'All payment attempts failed' };
+  }
+
+  if (attempts.length === 0) {
+    return { status: 'cancelled', attempt: null, reason: 'Checkout abandoned: no payment attempts' };
+  }
+
+  return null;
+};
+
+const reconcilePayment = async (payment, gateway) => {
+  const [order, attempts] = await Promise.all([
+    gateway.fetchOrder(payment.orderId),
+    gateway.fetchOrderPayments(payment.orderId)
+  ]);
+
+  const resolution = resolveGatewayStatus(order, attempts);
+
+  if (!resolution || resolution.status === payment.paymentStatus) {
+    return null;
+  }
+
+  if (!canTransitionPaymentStatus(payment.paymentStatus, resolution.status)) {
+    return null;
+  }
+
+  const from = payment.paymentStatus;
+  const updates = { paymentStatus: resolution.status };
+
+  if (resolution.attempt) {
+    updates.transactionId = resolution.attempt.id;
+    updates.paymentMethod = resolution.attempt.method || payment.paymentMethod;
+  }
+
+  if (resolution.status === 'completed' && resolution.attempt) {
+    updates.metadata = {
+      ...payment.metadata,
+      razorpayPayment: {
+        method: resolution.attempt.method,
+        bank: resolution.attempt.bank,
+        wallet: resolution.attempt.wallet,
+        vpa: resolution.attempt.vpa,
+        email: resolution.attempt.email,
+        contact: resolution.attempt.contact
+      }
+    };
+  }
+
+  if (resolution.status !== 'completed') {
+    updates.notes = `Reconciliation: ${resolution.reason}`;
+  }
+
+  // Only if the status is still what we read: a webhook or verify call that
+  // settled the payment while we asked the gateway wins
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, paymentStatus: from },
+    { $set: updates },
+    { new: true }
+  );
+
+  if (!updated) {
+    return null;
+  }
+
+  if (resolution.status === 'completed') {
+    await fulfillPayment(updated);
+  }
+
+  return {
+    payment: payment._id,
+    orderId: payment.orderId,
+    from,
+    to: resolution.status,
+    reason: resolution.reason
+  };
+};
+
+// Find Razorpay payments stuck in pending/processing for longer than the
+// configured window and settle them from the gateway's records. Every run
+// is stored as a ReconciliationRun report.
+export const reconcileStalePayments = async ({
+  olderThanMinutes = readMinutes(process.env.PAYMENT_RECONCILE_AFTER_MINUTES, DEFAULT_OLDER_THAN_MINUTES),
+  trigger = 'scheduled',
+  triggeredBy,
+  gateway = defaultGateway
+} = {}) => {
+  const run = new ReconciliationRun({
+    trigger,
+    triggeredBy,
+    olderThanMinutes,
+    startedAt: new Date()
+  });
+
+  const cutoff = new Date(Date.now() - olderThanMinutes * 60 * 1000);
+  const payments = await Payment.find({
+    paymentGateway: 'razorpay',
+    paymentStatus: { $in: ['pending', 'processing'] },
+    createdAt: { $lte: cutoff }
+  }).sort({ createdAt: 1 });
+
+  for (const payment of payments) {
+    run.checked += 1;
+    try {
+      const change = await reconcilePayment(payment, gateway);
+      if (change) {
+        run.changes.push(change);
+      }
+    } catch (error) {
+      run.failures.push({
+        payment: payment._id,
+        orderId: payment.orderId,
+        error: error.message
+      });
+    }
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+
+  return run;
+};
+
+let reconciliationTimer = null;
+let reconciliationRunning = false;
+
+// Start the recurring reconciliation job. Set PAYMENT_RECONCILE_INTERVAL_MINUTES
+// to 0 to disable it.
+export const startPaymentReconciliation = () => {
+  const intervalMinutes = readMinutes(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES, DEFAULT_INTERVAL_MINUTES);
+
+  if (intervalMinutes === 0 || reconciliationTimer) {
+    return;
+  }
+
+  reconciliationTimer = setInterval(async () => {
+    // Skip this tick if the previous run is still going
+    if (reconciliationRunning) {
+      return;
+    }
+
+    reconciliationRunning = true;
+    try {
+      const run = await reconcileStalePayments();
+      if (run.changes.length > 0 || run.failures.length > 0) {
+        console.log(`Payment reconciliation: ${run.changes.length} updated, ${run.failures.length} failed of ${run.checked} checked`);
+      }
+    } catch (error) {
+      console.error('Error running payment reconciliation:', error);
+    } finally {
+      reconciliationRunning = false;
+    }
+  }, intervalMinutes * 60 * 1000);
+
+  reconciliationTimer.unref();
+};
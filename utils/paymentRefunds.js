@@ -0,0 +1,233 @@
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import { fulfillPayment, revokePaymentFulfillment } from './paymentFulfillment.js';
+import { issuePaymentDocuments } from './invoices.js';
+import { processRazorpayRefund } from './razorpay.js';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const refundError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Amount still available to refund on a payment
+export const getRefundableAmount = (payment) =>
+  roundAmount(payment.amount - (payment.refundAmount || 0));
+
+// Sum of ledger entries that haven't failed; pending ones hold their amount
+const REFUNDED_TOTAL = {
+  $round: [
+    {
+      $sum: {
+        $map: {
+          input: {
+            $filter: {
+              input: { $ifNull: ['$refunds', []] },
+              cond: { $ne: ['$$this.status', 'failed'] }
+            }
+          },
+          in: '$$this.amount'
+        }
+      }
+    },
+    2
+  ]
+};
+
+// Recompute refundAmount and paymentStatus from the refund ledger as stored,
+// in one update so concurrent ledger writes can't be overwritten.
+// Returns the updated payment.
+export const syncRefundTotals = (paymentId) =>
+  Payment.findOneAndUpdate(
+    { _id: paymentId },
+    [
+      { $set: { refundAmount: REFUNDED_TOTAL } },
+      {
+        $set: {
+          paymentStatus: {
+            $switch: {
+              branches: [
+                { case: { $gte: ['$refundAmount', '$amount'] }, then: 'refunded' },
+                { case: { $gt: ['$refundAmount', 0] }, then: 'partially_refunded' },
+                {
+                  case: { $in: ['$paymentStatus', ['refunded', 'partially_refunded']] },
+                  then: 'completed'
+                }
+              ],
+              default: '$paymentStatus'
+            }
+          }
+        }
+      }
+    ],
+    { new: true }
+  );
+
+// Revoke access once fully refunded, or restore it if a failed refund means
+// the payment is no longer fully refunded.
+export const syncFulfillmentWithRefunds = async (payment) => {
+  if (payment.paymentStatus === 'refunded') {
+    await revokePaymentFulfillment(payment);
+  } else if (payment.fulfillmentStatus === 'revoked') {
+    await fulfillPayment(payment);
+  }
+};
+
+const settleLedger = async (paymentId) => {
+  const payment = await syncRefundTotals(paymentId);
+  await syncFulfillmentWithRefunds(payment);
+  await issuePaymentDocuments(payment);
+  return payment;
+};
+
+// Refund part or all of a payment. A pending ledger entry is reserved first,
+// in a conditional update that keeps the refunded total within the amount
+// paid, so concurrent refunds can't both pass on stale data. The gateway
+// refund is issued next, carrying the entry's id in its notes so a webhook
+// that beats us back matches the entry instead of adding a second one.
+// Throws errors with statusCode 400 when the refund isn't possible.
+export const issueRefund = async (paymentId, { amount, reason, initiatedBy }, {
+  refundGateway = processRazorpayRefund
+} = {}) => {
+  const refundAmount = roundAmount(Number(amount));
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+    throw refundError('Please provide a valid refund amount');
+  }
+
+  const entryId = new mongoose.Types.ObjectId();
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: paymentId,
+      paymentStatus: { $in: ['completed', 'partially_refunded'] },
+      $expr: { $lte: [{ $round: [{ $add: [REFUNDED_TOTAL, refundAmount] }, 2] }, '$amount'] }
+    },
+    {
+      $push: {
+        refunds: {
+          _id: entryId,
+          amount: refundAmount,
+          reason,
+          initiatedBy,
+          status: 'pending'
+        }
+      },
+      $set: { refundReason: reason, refundedAt: new Date() }
+    },
+    { new: true }
+  );
+
+  if (!reserved) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      const error = new Error('Payment not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    if (!['completed', 'partially_refunded'].includes(payment.paymentStatus)) {
+      throw refundError('Can only refund completed or partially refunded payments');
+    }
+    throw refundError(`Refund amount cannot exceed the refundable balance of ${getRefundableAmount(payment)}`);
+  }
+
+  let gatewayRefund = null;
+
+  if (reserved.paymentGateway === 'razorpay') {
+    try {
+      if (!reserved.transactionId) {
+        throw refundError('Payment has no gateway transaction to refund');
+      }
+
+      gatewayRefund = await refundGateway(reserved.transactionId, refundAmount, {
+        reason,
+        paymentRecordId: reserved._id.toString(),
+        ledgerEntryId: entryId.toString()
+      });
+    } catch (error) {
+      // Release the reservation; nothing was refunded
+      await Payment.updateOne(
+        { _id: reserved._id, 'refunds._id': entryId },
+        {
+          $set: {
+            'refunds.$.status': 'failed',
+            'refunds.$.failureReason': error.message
+          }
+        }
+      );
+      await syncRefundTotals(reserved._id);
+      throw error;
+    }
+
+    await Payment.updateOne(
+      { _id: reserved._id, 'refunds._id': entryId },
+      { $set: { 'refunds.$.refundId': gatewayRefund.id } }
+    );
+  }
+
+  // Refunds the gateway hasn't settled yet stay pending until their webhook.
+  // A webhook may also have beaten us here, so only a pending entry is updated.
+  if (!gatewayRefund || gatewayRefund.status === 'processed') {
+    await Payment.updateOne(
+      { _id: reserved._id, refunds: { $elemMatch: { _id: entryId, status: 'pending' } } },
+      { $set: { 'refunds.$.status': 'processed', 'refunds.$.processedAt': new Date() } }
+    );
+  }
+
+  return settleLedger(reserved._id);
+};
+
+// Apply a refund entity from a Razorpay refund.* webhook to the ledger.
+// The entry is matched by gateway refund id, or by the ledger entry id that
+// issueRefund puts in the notes; refunds started from the Razorpay dashboard
+// are added to the ledger here. Returns the updated payment, or null when no
+// payment matches.
+export const applyGatewayRefund = async (refundEntity) => {
+  const payment = await Payment.findOne({ transactionId: refundEntity.payment_id });
+
+  if (!payment) {
+    return null;
+  }
+
+  const status = ['pending', 'processed', 'failed'].includes(refundEntity.status)
+    ? refundEntity.status
+    : 'pending';
+  const ledgerEntryId = refundEntity.notes?.ledgerEntryId;
+  const refund = payment.refunds.find(entry =>
+    entry.refundId === refundEntity.id ||
+    (ledgerEntryId && entry._id.toString() === ledgerEntryId)
+  );
+
+  const outcome = { status };
+  if (status === 'processed') {
+    outcome.processedAt = new Date();
+  }
+  if (status === 'failed') {
+    outcome.failureReason = refundEntity.error_description || 'Refund failed at payment gateway';
+  }
+
+  if (refund) {
+    const update = { 'refunds.$.refundId': refundEntity.id };
+    Object.entries(outcome).forEach(([field, value]) => {
+      update[`refunds.$.${field}`] = value;
+    });
+    await Payment.updateOne({ _id: payment._id, 'refunds._id': refund._id }, { $set: update });
+  } else {
+    // Guarded so concurrent deliveries of the same event add it only once
+    await Payment.updateOne(
+      { _id: payment._id, 'refunds.refundId': { $ne: refundEntity.id } },
+      {
+        $push: {
+          refunds: {
+            refundId: refundEntity.id,
+            amount: roundAmount(refundEntity.amount / 100),
+            reason: refundEntity.notes?.reason || 'Refund issued from payment gateway',
+            ...outcome
+          }
+        }
+      }
+    );
+  }
+
+  return settleLedger(payment._id);
+};
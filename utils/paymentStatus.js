@@ -0,0 +1,17 @@
+// Allowed paymentStatus transitions for gateway events and admin updates.
+// A late capture can still complete a failed or cancelled order. The refund
+// states are never set here: only the refund ledger (utils/paymentRefunds.js,
+// fed by processRefund and refund webhooks) moves a payment into or out of
+// them, so every refund has a gateway refund and a ledger entry behind it.
+export const PAYMENT_STATUS_TRANSITIONS = {
+  pending: ['processing', 'completed', 'failed', 'cancelled'],
+  processing: ['completed', 'failed', 'cancelled'],
+  failed: ['processing', 'completed'],
+  cancelled: ['completed'],
+  completed: [],
+  partially_refunded: [],
+  refunded: []
+};
+
+export const canTransitionPaymentStatus = (from, to) =>
+  from === to || (PAYMENT_STATUS_TRANSITIONS[from] || []).includes(to);
@@ -0,0 +1,24 @@
+import fs from 'fs';
+import path from 'path';
+import PDFDocument from 'pdfkit';
+
+// Render a PDF to disk. `render` draws onto the pdfkit document. The PDF is
+// written to a temporary file and moved into place once complete, so a
+// crash mid-write never leaves a truncated file at `filePath`.
+export const renderPdf = (filePath, render, options = {}) => new Promise((resolve, reject) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  const doc = new PDFDocument({ size: 'A4', margin: 40, ...options });
+  const stream = fs.createWriteStream(tempPath);
+
+  stream.on('finish', () => {
+    fs.promises.rename(tempPath, filePath).then(resolve, reject);
+  });
+  stream.on('error', (error) => {
+    fs.promises.rm(tempPath, { force: true }).finally(() => reject(error));
+  });
+  doc.pipe(stream);
+  render(doc);
+  doc.end();
+});
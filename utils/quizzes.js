@@ -0,0 +1,204 @@
+import { QUESTION_TYPES } from '../models/Quiz.js';
+
+// Late submissions inside this window still count (network latency)
+export const SUBMISSION_GRACE_MS = 30 * 1000;
+
+const quizError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const normalizeText = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const isValidOptionIndex = (options) => (index) => Number.isInteger(index) && index >= 0 && index < options.length;
+
+// Validate an author's question bank. Throws a 400 error describing the first problem.
+export const normalizeQuestions = (questions) => {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    throw quizError('Please provide at least one question');
+  }
+
+  return questions.map((question, index) => {
+    const label = `Question ${index + 1}`;
+    const { type, prompt, points = 1, explanation } = question || {};
+
+    if (!QUESTION_TYPES.includes(type)) {
+      throw quizError(`${label}: type must be one of ${QUESTION_TYPES.join(', ')}`);
+    }
+    if (!prompt || !String(prompt).trim()) {
+      throw quizError(`${label}: prompt is required`);
+    }
+    if (typeof points !== 'number' || points < 0) {
+      throw quizError(`${label}: points must be a non-negative number`);
+    }
+
+    const normalized = { type, prompt: String(prompt).trim(), points, explanation };
+    if (question._id) {
+      normalized._id = question._id;
+    }
+
+    if (type === 'single_choice' || type === 'multiple_choice') {
+      const options = Array.isArray(question.options) ? question.options.map(option => String(option).trim()) : [];
+      const correctOptions = Array.isArray(question.correctOptions) ? [...new Set(question.correctOptions)] : [];
+
+      if (options.length < 2 || options.some(option => !option)) {
+        throw quizError(`${label}: choice questions need at least two non-empty options`);
+      }
+      if (correctOptions.length === 0 || !correctOptions.every(isValidOptionIndex(options))) {
+        throw quizError(`${label}: correctOptions must reference options by index`);
+      }
+      if (type === 'single_choice' && correctOptions.length !== 1) {
+        throw quizError(`${label}: single choice questions have exactly one correct option`);
+      }
+      return { ...normalized, options, correctOptions };
+    }
+
+    if (type === 'true_false') {
+      if (typeof question.correctAnswer !== 'boolean') {
+        throw quizError(`${label}: correctAnswer must be true or false`);
+      }
+      return { ...normalized, correctAnswer: question.correctAnswer };
+    }
+
+    const acceptedAnswers = Array.isArray(question.acceptedAnswers)
+      ? question.acceptedAnswers.map(answer => String(answer).trim()).filter(Boolean)
+      : [];
+    return { ...normalized, acceptedAnswers };
+  });
+};
+
+// A question as students see it: no answers or explanations
+export const toStudentQuestion = (question) => ({
+  _id: question._id,
+  type: question.type,
+  prompt: question.prompt,
+  options: question.type === 'true_false' ? [] : question.options,
+  points: question.points
+});
+
+// Questions of an attempt as they were when it started, in the order they
+// were presented. Attempts from before snapshots were stored use the quiz's
+// current version of the questions they were given, never ones added since.
+export const getAttemptQuestions = (quiz, attempt) => {
+  if (attempt.questions?.length > 0) {
+    return attempt.questions;
+  }
+  const byId = new Map(quiz.questions.map(question => [question._id.toString(), question]));
+  return (attempt.questionOrder || [])
+    .map(id => byId.get(id.toString()))
+    .filter(Boolean);
+};
+
+// Check the shape of submitted answers before grading. Throws a 400 error
+// describing the first problem.
+export const validateSubmittedAnswers = (submittedAnswers) => {
+  if (submittedAnswers === undefined) {
+    return;
+  }
+  if (!Array.isArray(submittedAnswers)) {
+    throw quizError('answers must be an array');
+  }
+
+  submittedAnswers.forEach((answer, index) => {
+    const label = `Answer ${index + 1}`;
+    if (!answer || typeof answer !== 'object' || Array.isArray(answer)) {
+      throw quizError(`${label}: must be an object with a questionId`);
+    }
+    if (answer.selectedOptions !== undefined &&
+        (!Array.isArray(answer.selectedOptions) || !answer.selectedOptions.every(option => Number.isInteger(Number(option))))) {
+      throw quizError(`${label}: selectedOptions must be an array of option indexes`);
+    }
+    if (answer.booleanAnswer !== undefined && typeof answer.booleanAnswer !== 'boolean') {
+      throw quizError(`${label}: booleanAnswer must be true or false`);
+    }
+    if (answer.textAnswer !== undefined && typeof answer.textAnswer !== 'string') {
+      throw quizError(`${label}: textAnswer must be a string`);
+    }
+  });
+};
+
+const gradeAnswer = (question, answer) => {
+  if (question.type === 'single_choice' || question.type === 'multiple_choice') {
+    const selected = [...new Set((answer?.selectedOptions || []).map(Number))].sort((a, b) => a - b);
+    const expected = [...question.correctOptions].sort((a, b) => a - b);
+    return selected.length === expected.length && selected.every((value, index) => value === expected[index]);
+  }
+
+  if (question.type === 'true_false') {
+    return typeof answer?.booleanAnswer === 'boolean' && answer.booleanAnswer === question.correctAnswer;
+  }
+
+  // Short answers without accepted answers are left for manual review
+  if (question.acceptedAnswers.length === 0) {
+    return null;
+  }
+  const text = normalizeText(answer?.textAnswer);
+  return Boolean(text) && question.acceptedAnswers.some(accepted => normalizeText(accepted) === text);
+};
+
+// Grade submitted answers against the attempt's questions
+export const gradeAnswers = (questions, submittedAnswers = []) => {
+  const submitted = new Map(
+    (Array.isArray(submittedAnswers) ? submittedAnswers : [])
+      .filter(answer => answer?.questionId)
+      .map(answer => [answer.questionId.toString(), answer])
+  );
+
+  const answers = questions.map(question => {
+    const answer = submitted.get(question._id.toString());
+    const isCorrect = gradeAnswer(question, answer);
+    return {
+      questionId: question._id,
+      selectedOptions: answer?.selectedOptions,
+      booleanAnswer: answer?.booleanAnswer,
+      textAnswer: answer?.textAnswer,
+      isCorrect,
+      pointsAwarded: isCorrect === null ? undefined : (isCorrect ? question.points : 0)
+    };
+  });
+
+  return {
+    answers,
+    needsReview: answers.some(answer => answer.isCorrect === null)
+  };
+};
+
+// Total up a fully graded attempt
+export const scoreAttempt = (attempt, questions, passPercentage) => {
+  const maxScore = questions.reduce((total, question) => total + question.points, 0);
+  const score = attempt.answers.reduce((total, answer) => total + (answer.pointsAwarded || 0), 0);
+
+  attempt.score = score;
+  attempt.maxScore = maxScore;
+  attempt.percentage = maxScore === 0 ? 100 : Math.round((score / maxScore) * 10000) / 100;
+  attempt.passed = attempt.percentage >= passPercentage;
+  return attempt;
+};
+
+// Attempt with the correct answers revealed once it has been submitted
+export const buildAttemptReview = (quiz, attempt) => {
+  const questions = getAttemptQuestions(quiz, attempt);
+  const answers = new Map(attempt.answers.map(answer => [answer.questionId.toString(), answer]));
+
+  return {
+    ...attempt.toObject(),
+    questions: questions.map(question => ({
+      ...toStudentQuestion(question),
+      correctOptions: question.correctOptions,
+      correctAnswer: question.correctAnswer,
+      acceptedAnswers: question.acceptedAnswers,
+      explanation: question.explanation,
+      answer: answers.get(question._id.toString()) || null
+    }))
+  };
+};
+
+export const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
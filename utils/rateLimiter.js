@@ -0,0 +1,70 @@
+// Fixed-window rate limiter. The store is pluggable: anything implementing
+// increment(key, windowMs) -> { count, resetAt } and reset(key) can replace the
+// in-memory store (e.g. a Redis-backed one when running several instances).
+
+export class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+    // Drop expired windows so the map doesn't grow without bound
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+export const createRateLimiter = ({
+  windowMs,
+  max,
+  prefix = 'rl',
+  store = new MemoryStore(),
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests. Please try again later'
+}) => {
+  return async (req, res, next) => {
+    try {
+      const key = `${prefix}:${keyGenerator(req)}`;
+      const { count, resetAt } = await store.increment(key, windowMs);
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.set('RateLimit-Reset', String(Math.ceil((resetAt - Date.now()) / 1000)));
+
+      if (count > max) {
+        res.set('Retry-After', String(Math.ceil((resetAt - Date.now()) / 1000)));
+        return res.status(429).json({
+          success: false,
+          message
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Fail open: an unavailable store shouldn't take logins down with it
+      console.error('Rate limiter error:', error);
+      next();
+    }
+  };
+};
@@ -25,7 +25,7 @@ const getRazorpayInstance = () => {
 export const createRazorpayOrder = async (amount, currency = 'INR', receipt = null, notes = {}) => {
   try {
     const options = {
-      amount: amount * 100, // Razorpay expects amount in paise (smallest currency unit)
+      amount: Math.round(amount * 100), // Razorpay expects amount in paise (smallest currency unit)
       currency: currency,
       receipt: receipt || `receipt_${Date.now()}`,
       notes: notes,
@@ -64,13 +64,35 @@ export const getPaymentDetails = async (paymentId) => {
   }
 };
 
+// Fetch order details from Razorpay
+export const getOrderDetails = async (orderId) => {
+  try {
+    const razorpay = getRazorpayInstance();
+    const order = await razorpay.orders.fetch(orderId);
+    return order;
+  } catch (error) {
+    throw new Error(`Error fetching order details: ${error.message}`);
+  }
+};
+
+// Fetch all payment attempts made against a Razorpay order
+export const getOrderPayments = async (orderId) => {
+  try {
+    const razorpay = getRazorpayInstance();
+    const result = await razorpay.orders.fetchPayments(orderId);
+    return result.items || [];
+  } catch (error) {
+    throw new Error(`Error fetching order payments: ${error.message}`);
+  }
+};
+
 // Process refund
 export const processRazorpayRefund = async (paymentId, amount = null, notes = {}) => {
   try {
     const razorpay = getRazorpayInstance();
     const options = {};
     if (amount) {
-      options.amount = amount * 100; // Convert to paise
+      options.amount = Math.round(amount * 100); // Convert to paise
     }
     if (Object.keys(notes).length > 0) {
       options.notes = notes;
@@ -0,0 +1,188 @@
+import Payment from '../models/Payment.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { fulfillPayment } from './paymentFulfillment.js';
+import { applyGatewayRefund } from './paymentRefunds.js';
+import { canTransitionPaymentStatus } from './paymentStatus.js';
+
+// Handle payment captured event
+const handlePaymentCaptured = async (paymentEntity) => {
+  const payment = await Payment.findOne({ orderId: paymentEntity.order_id });
+
+  if (!payment) {
+    return `No payment found for order ${paymentEntity.order_id}`;
+  }
+
+  if (!canTransitionPaymentStatus(payment.paymentStatus, 'completed')) {
+    return `Ignored: payment is already ${payment.paymentStatus}`;
+  }
+
+  payment.transactionId = paymentEntity.id;
+  payment.paymentStatus = 'completed';
+  payment.paymentMethod = paymentEntity.method || payment.paymentMethod;
+  payment.receiptUrl = paymentEntity.receipt || null;
+  payment.metadata = {
+    ...payment.metadata,
+    razorpayPayment: {
+      method: paymentEntity.method,
+      bank: paymentEntity.bank,
+      wallet: paymentEntity.wallet,
+      vpa: paymentEntity.vpa,
+      email: paymentEntity.email,
+      contact: paymentEntity.contact
+    }
+  };
+  await payment.save();
+  await fulfillPayment(payment);
+
+  return `Payment ${payment._id} marked completed`;
+};
+
+// Handle payment failed event
+const handlePaymentFailed = async (paymentEntity) => {
+  const payment = await Payment.findOne({ orderId: paymentEntity.order_id });
+
+  if (!payment) {
+    return `No payment found for order ${paymentEntity.order_id}`;
+  }
+
+  if (!canTransitionPaymentStatus(payment.paymentStatus, 'failed')) {
+    return `Ignored: payment is already ${payment.paymentStatus}`;
+  }
+
+  payment.transactionId = paymentEntity.id;
+  payment.paymentStatus = 'failed';
+  payment.notes = paymentEntity.error_description || 'Payment failed';
+  await payment.save();
+
+  return `Payment ${payment._id} marked failed`;
+};
+
+// Handle order paid event
+const handleOrderPaid = async (orderEntity) => {
+  const payment = await Payment.findOne({ orderId: orderEntity.id });
+
+  if (!payment) {
+    return `No payment found for order ${orderEntity.id}`;
+  }
+
+  if (!canTransitionPaymentStatus(payment.paymentStatus, 'completed')) {
+    return `Ignored: payment is already ${payment.paymentStatus}`;
+  }
+
+  if (payment.paymentStatus !== 'completed') {
+    payment.paymentStatus = 'completed';
+    await payment.save();
+  }
+
+  await fulfillPayment(payment);
+
+  return `Payment ${payment._id} marked completed`;
+};
+
+// Handle refund processed/failed events
+const handleRefundUpdated = async (refundEntity) => {
+  const payment = await applyGatewayRefund(refundEntity);
+
+  if (!payment) {
+    return `No payment found for refund ${refundEntity.id}`;
+  }
+
+  return `Refund ${refundEntity.id} ${refundEntity.status} on payment ${payment._id}`;
+};
+
+const eventHandlers = {
+  'payment.captured': (event) => handlePaymentCaptured(event.payload.payment.entity),
+  'payment.failed': (event) => handlePaymentFailed(event.payload.payment.entity),
+  'order.paid': (event) => handleOrderPaid(event.payload.order.entity),
+  'refund.processed': (event) => handleRefundUpdated(event.payload.refund.entity),
+  'refund.failed': (event) => handleRefundUpdated(event.payload.refund.entity)
+};
+
+// Run the handler for a stored webhook event and record the outcome on it.
+// Handler errors are recorded on the event and re-thrown to the caller.
+export const processWebhookEvent = async (webhookEvent) => {
+  const handler = eventHandlers[webhookEvent.event];
+
+  webhookEvent.attempts += 1;
+  webhookEvent.lastAttemptAt = new Date();
+
+  if (!handler) {
+    webhookEvent.status = 'ignored';
+    webhookEvent.outcome = `Unhandled webhook event: ${webhookEvent.event}`;
+    webhookEvent.processedAt = new Date();
+    await webhookEvent.save();
+    return webhookEvent;
+  }
+
+  try {
+    webhookEvent.outcome = await handler(webhookEvent.payload);
+    webhookEvent.status = 'processed';
+    webhookEvent.error = undefined;
+    webhookEvent.processedAt = new Date();
+    await webhookEvent.save();
+    return webhookEvent;
+  } catch (error) {
+    webhookEvent.status = 'failed';
+    webhookEvent.error = error.message;
+    await webhookEvent.save();
+    throw error;
+  }
+};
+
+// How long an event may sit in 'processing' before it is presumed abandoned
+// (e.g. the process crashed mid-handler) and may be claimed again
+const getProcessingTimeoutMs = () => {
+  const minutes = parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_MINUTES, 10);
+  return (Number.isNaN(minutes) || minutes <= 0 ? 10 : minutes) * 60 * 1000;
+};
+
+// Atomically claim an event for another attempt: failed events, and events
+// stuck in processing for longer than the timeout. Returns the claimed event
+// or null when it is processed, ignored or still being worked on.
+export const claimWebhookEventForRetry = (filter) => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - getProcessingTimeoutMs());
+
+  return WebhookEvent.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', lastAttemptAt: { $lt: staleBefore } },
+        { status: 'processing', lastAttemptAt: { $exists: false }, createdAt: { $lt: staleBefore } }
+      ]
+    },
+    { $set: { status: 'processing', lastAttemptAt: now } },
+    { new: true }
+  );
+};
+
+// Persist an incoming webhook delivery by its Razorpay event id.
+// Returns { webhookEvent, duplicate } where duplicate is true when the event
+// was already processed or is being processed by another delivery. Failed
+// and abandoned events are handed back for another attempt, since Razorpay
+// retries them.
+export const recordWebhookEvent = async (eventId, event) => {
+  try {
+    const webhookEvent = await WebhookEvent.create({
+      eventId,
+      event: event.event,
+      payload: event,
+      lastAttemptAt: new Date()
+    });
+    return { webhookEvent, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    // Claim the event for retry so concurrent deliveries don't both run it
+    const retry = await claimWebhookEventForRetry({ eventId });
+
+    if (retry) {
+      return { webhookEvent: retry, duplicate: false };
+    }
+
+    return { webhookEvent: await WebhookEvent.findOne({ eventId }), duplicate: true };
+  }
+};
@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import { generateToken } from './generateToken.js';
+
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+
+// Rotated refresh tokens remembered per session for reuse detection. Sessions
+// slide forward on every refresh, so the history has to be bounded.
+const MAX_PREVIOUS_REFRESH_TOKENS = 20;
+
+const getRefreshTokenTtlMs = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10);
+  return (Number.isNaN(days) || days <= 0 ? DEFAULT_REFRESH_TOKEN_DAYS : days) * 24 * 60 * 60 * 1000;
+};
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+// Start a new session for a user who has just authenticated.
+// Returns the access token, the refresh token and the session.
+export const createSession = async (user, req) => {
+  const refreshToken = createRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs())
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Exchange a refresh token for a new access token and refresh token.
+// Presenting an already-rotated refresh token revokes the whole session.
+export const rotateSession = async (refreshToken, req) => {
+  if (!refreshToken) {
+    throw sessionError('Please provide a refresh token');
+  }
+
+  const tokenHash = hashRefreshToken(refreshToken);
+  const nextRefreshToken = createRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashRefreshToken(nextRefreshToken),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + getRefreshTokenTtlMs()),
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip
+      },
+      $push: {
+        previousRefreshTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_REFRESH_TOKENS }
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousRefreshTokenHashes: tokenHash, revokedAt: { $exists: false } },
+      { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+    );
+
+    if (reused) {
+      console.warn(`Refresh token reuse detected for session ${reused._id}; session revoked`);
+    }
+
+    throw sessionError('Invalid or expired refresh token');
+  }
+
+  return {
+    token: generateToken(session.user, session._id),
+    refreshToken: nextRefreshToken,
+    session
+  };
+};
+
+// Check that the session an access token belongs to is still usable
+export const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const session = await Session.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+
+  return Boolean(session);
+};
+
+// Revoke a single session. Returns false if it was not active.
+export const revokeSession = async (sessionId, reason, userId = null) => {
+  const query = { _id: sessionId, revokedAt: { $exists: false } };
+  if (userId) {
+    query.user = userId;
+  }
+
+  const result = await Session.updateOne(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return result.modifiedCount > 0;
+};
+
+// Revoke every active session of a user, e.g. after a password reset
+export const revokeAllSessions = async (userId, reason) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount;
+};
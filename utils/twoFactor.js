@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { verifyTotp } from './totp.js';
+
+const BACKUP_CODE_COUNT = 10;
+
+// Roles that must enrol in two-factor authentication before using the API,
+// from TWO_FACTOR_REQUIRED_ROLES (comma separated, e.g. "admin,employer")
+export const isTwoFactorRequired = (role) =>
+  (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(requiredRole => requiredRole.trim())
+    .filter(Boolean)
+    .includes(role);
+
+const normalizeBackupCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+// Single-use recovery codes, shown to the user once. Only hashes are stored.
+export const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => User.hashToken(normalizeBackupCode(code)))
+  };
+};
+
+// Verify an authenticator code or a backup code for a user with 2FA enabled.
+// Both are consumed atomically: a TOTP step can't be reused and a backup code
+// is removed once accepted. Returns 'totp', 'backup_code' or null.
+export const verifySecondFactor = async (userId, { code, backupCode }) => {
+  if (backupCode) {
+    const consumed = await User.findOneAndUpdate(
+      { _id: userId, 'twoFactor.enabled': true, 'twoFactor.backupCodes': User.hashToken(normalizeBackupCode(backupCode)) },
+      { $pull: { 'twoFactor.backupCodes': User.hashToken(normalizeBackupCode(backupCode)) } }
+    );
+    return consumed ? 'backup_code' : null;
+  }
+
+  const user = await User.findById(userId).select('+twoFactor.secret');
+  if (!user || !user.twoFactor?.enabled || !user.twoFactor.secret) {
+    return null;
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  const accepted = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  return accepted ? 'totp' : null;
+};
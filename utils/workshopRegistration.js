@@ -0,0 +1,153 @@
+import Workshop from '../models/Workshop.js';
+
+// Registration statuses that count as an active (non-cancelled) registration
+export const ACTIVE_REGISTRATION_STATUSES = ['pending_payment', 'waitlisted', 'confirmed'];
+
+// Atomically move a user's waitlisted registration into a confirmed seat.
+// The seat count is only incremented while currentParticipants < maxParticipants,
+// so concurrent requests can never overbook. Returns null when no seat is free.
+export const reserveSeat = async (workshopId, userId) => {
+  return Workshop.findOneAndUpdate(
+    {
+      _id: workshopId,
+      $expr: { $lt: ['$currentParticipants', '$maxParticipants'] },
+      registrations: { $elemMatch: { user: userId, status: 'waitlisted' } }
+    },
+    {
+      $inc: { currentParticipants: 1 },
+      $set: {
+        'registrations.$.status': 'confirmed',
+        'registrations.$.confirmedAt': new Date()
+      }
+    },
+    { new: true }
+  );
+};
+
+// Promote waitlisted registrations (oldest first) while seats are available.
+// Returns the ids of the users that were promoted.
+export const promoteWaitlist = async (workshopId) => {
+  const promoted = [];
+
+  while (true) {
+    const workshop = await Workshop.findById(workshopId)
+      .select('registrations currentParticipants maxParticipants')
+      .lean();
+
+    if (!workshop || workshop.currentParticipants >= workshop.maxParticipants) {
+      break;
+    }
+
+    const next = workshop.registrations
+      .filter(reg => reg.status === 'waitlisted')
+      .sort((a, b) => new Date(a.registeredAt) - new Date(b.registeredAt))[0];
+
+    if (!next) {
+      break;
+    }
+
+    const updated = await reserveSeat(workshopId, next.user);
+    if (!updated) {
+      break;
+    }
+
+    promoted.push(next.user);
+  }
+
+  return promoted;
+};
+
+// Move a paid registration out of pending_payment once its Payment has completed
+// and try to give it a seat. Creates the registration if the user paid without
+// registering first. Returns the workshop with the user's registration status.
+export const confirmPaidRegistration = async (workshopId, user, paymentId) => {
+  const userId = user._id || user;
+
+  const moved = await Workshop.findOneAndUpdate(
+    {
+      _id: workshopId,
+      registrations: { $elemMatch: { user: userId, status: 'pending_payment' } }
+    },
+    {
+      $set: {
+        'registrations.$.status': 'waitlisted',
+        'registrations.$.payment': paymentId
+      }
+    },
+    { new: true }
+  );
+
+  if (!moved) {
+    // No pending registration - add one unless the user already holds an active one
+    await Workshop.updateOne(
+      {
+        _id: workshopId,
+        registrations: {
+          $not: { $elemMatch: { user: userId, status: { $in: ACTIVE_REGISTRATION_STATUSES } } }
+        }
+      },
+      {
+        $push: {
+          registrations: {
+            user: userId,
+            userName: user.name,
+            userEmail: user.email,
+            status: 'waitlisted',
+            payment: paymentId,
+            registeredAt: new Date()
+          }
+        }
+      }
+    );
+  }
+
+  return (await reserveSeat(workshopId, userId)) || Workshop.findById(workshopId);
+};
+
+// Cancel a user's active registration, freeing the seat if it held one and
+// promoting the waitlist into it. Returns the cancelled registration status,
+// or null when the user had no active registration.
+export const cancelRegistration = async (workshopId, userId) => {
+  const now = new Date();
+
+  const freed = await Workshop.findOneAndUpdate(
+    {
+      _id: workshopId,
+      registrations: { $elemMatch: { user: userId, status: 'confirmed' } }
+    },
+    {
+      $inc: { currentParticipants: -1 },
+      $set: {
+        'registrations.$.status': 'cancelled',
+        'registrations.$.cancelledAt': now
+      }
+    }
+  );
+
+  if (freed) {
+    await promoteWaitlist(workshopId);
+    return 'confirmed';
+  }
+
+  const workshop = await Workshop.findOneAndUpdate(
+    {
+      _id: workshopId,
+      registrations: { $elemMatch: { user: userId, status: { $in: ['pending_payment', 'waitlisted'] } } }
+    },
+    {
+      $set: {
+        'registrations.$.status': 'cancelled',
+        'registrations.$.cancelledAt': now
+      }
+    }
+  );
+
+  if (!workshop) {
+    return null;
+  }
+
+  const previous = workshop.registrations.find(
+    reg => reg.user.toString() === userId.toString() && ['pending_payment', 'waitlisted'].includes(reg.status)
+  );
+  return previous ? previous.status : 'waitlisted';
+};